@@ -0,0 +1,326 @@
+// Command line interface bundled as the `jww-parser` bin (dist/cli.mjs).
+import {
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+} from 'node:fs';
+import { basename, dirname, extname, join, resolve, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import pkg from '../package.json' with { type: 'json' };
+import {
+  image_files,
+  parse,
+  summarize,
+  to_dxf_string,
+  to_json_string,
+  to_jww_bytes,
+  to_svg,
+} from './index.js';
+
+const USAGE = `Usage: jww-parser <command> [options] <files...>
+
+Commands:
+  info <files...>             Print version, memo, paper size, entity counts
+                              per type and layer, block definitions and images
+  convert --to <format> <files...>
+                              Convert to json, dxf, svg or jww
+  dump <file>                 Print the document as JSON to stdout
+
+Options:
+  --to <format>               Output format of convert: json | dxf | svg | jww
+  -o, --output <file>         Output file (convert with a single input)
+  --out-dir <dir>             Directory for converted files (default: next to the input)
+  --extract-images <dir>      Write embedded images to <dir>
+                              Both keep each input's path below its glob base
+  --lenient                   Parse in lenient mode and report diagnostics
+  --json                      Print info as one JSON object per file
+  -h, --help                  Show this help
+  -v, --version               Show the version
+
+Files may be glob patterns (*, ?, **). Each file is processed on its own and
+reported as ok or failed; the exit status is 1 if any file failed and 2 for
+usage errors, including two inputs that would write the same output.`;
+
+const CONVERTERS = {
+  json: (doc) => to_json_string(doc),
+  dxf: (doc) => to_dxf_string(doc),
+  svg: (doc) => to_svg(doc),
+  jww: (doc) => to_jww_bytes(doc),
+};
+
+class UsageError extends Error {}
+
+const GLOB_CHARS = /[*?[]/;
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // `**/` matches any number of directories, including none
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[' && pattern.indexOf(']', i) > i) {
+      const end = pattern.indexOf(']', i);
+      source += pattern.slice(i, end + 1);
+      i = end;
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir, prefix = '') {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = prefix + entry.name;
+    if (entry.isDirectory()) {
+      files.push(...walk(join(dir, entry.name), `${path}/`));
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+// Each input is `{ file, relative }`, where `relative` is the path below the
+// glob base (just the file name for a literal path). Outputs under --out-dir
+// and --extract-images keep it so that same-named files do not collide.
+function expandGlob(pattern) {
+  const parts = pattern.split(sep).join('/').split('/');
+  const index = parts.findIndex((part) => GLOB_CHARS.test(part));
+  const base = index === 0 ? '.' : parts.slice(0, index).join('/') || '/';
+  const regex = globToRegExp(parts.slice(index).join('/'));
+  return walk(base)
+    .filter((path) => regex.test(path))
+    .sort()
+    .map((path) => ({
+      file: index === 0 ? path : join(base, path),
+      relative: path,
+    }));
+}
+
+function readDocument(file, options) {
+  const data = readFileSync(file);
+  if (!options.lenient) {
+    return parse(data);
+  }
+  const { document, diagnostics } = parse(data, { mode: 'lenient' });
+  for (const d of diagnostics) {
+    console.error(
+      `${file}: [${d.severity}] offset ${d.offset} ${d.class_name}: ${d.message}`,
+    );
+  }
+  return document;
+}
+
+function layerLabel(group, layer) {
+  return `${group.toString(16).toUpperCase()}-${layer.toString(16).toUpperCase()}`;
+}
+
+function printInfo(file, summary) {
+  const lines = [
+    file,
+    `  version: ${summary.version}`,
+    `  memo: ${summary.memo}`,
+    `  paper size: ${summary.paper_size}`,
+    `  entities: ${summary.entity_count}`,
+  ];
+  for (const { name, count } of summary.entity_types) {
+    lines.push(`    ${name}: ${count}`);
+  }
+  lines.push(`  layers: ${summary.layers.length}`);
+  for (const { group, layer, name, count } of summary.layers) {
+    lines.push(`    ${layerLabel(group, layer)} ${name}: ${count}`);
+  }
+  lines.push(`  block definitions: ${summary.block_defs.length}`);
+  for (const def of summary.block_defs) {
+    lines.push(`    ${def.number} ${def.name}: ${def.entity_count} entities`);
+  }
+  lines.push(`  embedded images: ${summary.images.length}`);
+  for (const image of summary.images) {
+    lines.push(`    ${image.index}: ${image.format} ${image.size} bytes`);
+  }
+  console.log(lines.join('\n'));
+}
+
+// Images are written as `<stem>-<name>`; this is the part before the name.
+function imagePrefix({ file, relative }, dir) {
+  return join(dir, dirname(relative), `${basename(file, extname(file))}-`);
+}
+
+function extractImages(input, doc, dir) {
+  const prefix = imagePrefix(input, dir);
+  mkdirSync(dirname(prefix), { recursive: true });
+  for (const image of image_files(doc)) {
+    const path = prefix + image.suggestedFileName;
+    writeFileSync(path, image.data);
+    console.error(`${input.file}: image ${image.index} (${image.mime}) -> ${path}`);
+  }
+}
+
+function outputPath({ file, relative }, options) {
+  if (options.output) {
+    return options.output;
+  }
+  const name = `${basename(file, extname(file))}.${options.to}`;
+  const dir = options['out-dir'];
+  if (dir === undefined) {
+    return join(dirname(file), name);
+  }
+  return join(dir, dirname(relative), name);
+}
+
+// Two inputs that would write the same converted file or image names are a
+// usage error: the second would silently replace the first.
+function checkOutputs(command, inputs, options) {
+  const targets = [];
+  if (command === 'convert') {
+    targets.push((input) => outputPath(input, options));
+  }
+  if (options['extract-images']) {
+    targets.push((input) => imagePrefix(input, options['extract-images']));
+  }
+  for (const target of targets) {
+    const seen = new Map();
+    for (const input of inputs) {
+      const path = resolve(target(input));
+      if (seen.has(path)) {
+        throw new UsageError(
+          `${seen.get(path)} and ${input.file} would both write ${target(input)}`,
+        );
+      }
+      seen.set(path, input.file);
+    }
+  }
+}
+
+function convert(input, doc, options) {
+  const { file } = input;
+  const output = outputPath(input, options);
+  if (resolve(output) === resolve(file)) {
+    throw new Error('output would overwrite the input; use --out-dir or --output');
+  }
+  mkdirSync(dirname(output), { recursive: true });
+  writeFileSync(output, CONVERTERS[options.to](doc));
+  console.log(`${file} -> ${output}`);
+}
+
+function processFile(command, input, options) {
+  const { file } = input;
+  const doc = readDocument(file, options);
+  const summary = summarize(doc);
+  switch (command) {
+    case 'info':
+      if (options.json) {
+        console.log(JSON.stringify({ file, ...summary }));
+      } else {
+        printInfo(file, summary);
+      }
+      break;
+    case 'convert':
+      convert(input, doc, options);
+      break;
+    case 'dump':
+      process.stdout.write(`${to_json_string(doc)}\n`);
+      break;
+  }
+  if (options['extract-images']) {
+    extractImages(input, doc, options['extract-images']);
+  }
+}
+
+function checkUsage(command, patterns, options) {
+  if (!['info', 'convert', 'dump'].includes(command)) {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+  }
+  if (patterns.length === 0) {
+    throw new UsageError('No input files');
+  }
+  if (command === 'convert' && !(options.to in CONVERTERS)) {
+    throw new UsageError('convert needs --to json|dxf|svg|jww');
+  }
+  if (command === 'dump' && patterns.length > 1) {
+    throw new UsageError('dump takes a single file');
+  }
+}
+
+function main(argv) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        to: { type: 'string' },
+        output: { type: 'string', short: 'o' },
+        'out-dir': { type: 'string' },
+        'extract-images': { type: 'string' },
+        lenient: { type: 'boolean' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+        version: { type: 'boolean', short: 'v' },
+      },
+    }));
+    if (values.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (values.version) {
+      console.log(pkg.version);
+      return 0;
+    }
+    const [command, ...patterns] = positionals;
+    checkUsage(command, patterns, values);
+    const inputs = patterns.flatMap((pattern) => {
+      if (!GLOB_CHARS.test(pattern)) {
+        return [{ file: pattern, relative: basename(pattern) }];
+      }
+      const matched = expandGlob(pattern);
+      if (matched.length === 0) {
+        throw new UsageError(`No files match ${pattern}`);
+      }
+      return matched;
+    });
+    if (values.output && inputs.length > 1) {
+      throw new UsageError('--output needs a single input file; use --out-dir');
+    }
+    checkOutputs(command, inputs, values);
+    let failed = 0;
+    for (const input of inputs) {
+      try {
+        processFile(command, input, values);
+      } catch (error) {
+        failed++;
+        console.error(`${input.file}: failed: ${error.message}`);
+      }
+    }
+    if (inputs.length > 1) {
+      console.error(`${inputs.length - failed} of ${inputs.length} files succeeded`);
+    }
+    return failed > 0 ? 1 : 0;
+  } catch (error) {
+    // parseArgs reports unknown options and missing values with ERR_PARSE_ARGS_*
+    const usage =
+      error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+    if (!usage) {
+      throw error;
+    }
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,48 @@
+// Error classes shared by the main entry and the worker entries.
+
+/**
+ * Error thrown by `parse` when the input is not a valid JWW file.
+ */
+export class JwwParseError extends Error {
+  constructor(code, offset, message) {
+    super(message);
+    this.name = 'JwwParseError';
+    this.code = code;
+    this.offset = offset;
+  }
+}
+
+/**
+ * Error thrown when a string contains a character that has no Shift_JIS
+ * (CP932) code and the unmappable policy is "throw".
+ */
+export class SjisEncodeError extends Error {
+  constructor(character, index, message) {
+    super(message);
+    this.name = 'SjisEncodeError';
+    this.character = character;
+    this.index = index;
+  }
+}
+
+/**
+ * Error thrown by `parse_palette` when a line of the configuration is malformed.
+ */
+export class PaletteError extends Error {
+  constructor(line, message) {
+    super(message);
+    this.name = 'PaletteError';
+    this.line = line;
+  }
+}
+
+/**
+ * Error thrown by `from_json` when the JSON is not a valid Document.
+ */
+export class JsonDecodeError extends Error {
+  constructor(path, message) {
+    super(message);
+    this.name = 'JsonDecodeError';
+    this.path = path;
+  }
+}
@@ -0,0 +1,464 @@
+// JavaScript entry point bundled by rolldown.
+// Re-exports the MoonBit build output and adds the JS-only API surface
+// (error classes and throwing wrappers) declared in types/index.d.ts.
+import {
+  try_parse as try_parse_raw,
+  try_open_entity_stream as try_open_entity_stream_raw,
+  try_next_entity as try_next_entity_raw,
+  to_json_string,
+  try_from_json as try_from_json_raw,
+  to_dxf_string,
+  to_dxf_document,
+  dxf_document_to_string,
+  try_to_jww_bytes as try_to_jww_bytes_raw,
+  try_encode_shift_jis as try_encode_shift_jis_raw,
+  decode_shift_jis,
+  to_svg as to_svg_raw,
+  explode_blocks as explode_blocks_raw,
+  get_extents as get_extents_raw,
+  entity_bounds as entity_bounds_raw,
+  summarize,
+  pen_color_to_rgb,
+  signature,
+  image_files as image_files_raw,
+  resolve_image as resolve_image_raw,
+  filter_entities as filter_entities_raw,
+  group_by_layer as group_by_layer_raw,
+  default_palette,
+  document_palette,
+  try_parse_palette as try_parse_palette_raw,
+  resolve_style as resolve_style_raw,
+  decode_text as decode_text_raw,
+  text_run_kind_parts,
+  text_layout as text_layout_raw,
+  spatial_index as spatial_index_raw,
+  hit_test as hit_test_raw,
+  query_rect as query_rect_raw,
+  nearest,
+  to_world_coordinates as to_world_coordinates_raw,
+  from_world_coordinates as from_world_coordinates_raw,
+  paper_dimensions as paper_dimensions_raw,
+} from '../target/js/release/build/jww_parser.js';
+import {
+  JsonDecodeError,
+  JwwParseError,
+  PaletteError,
+  SjisEncodeError,
+} from './errors.js';
+
+export {
+  to_json_string,
+  to_dxf_string,
+  to_dxf_document,
+  dxf_document_to_string,
+  decode_shift_jis,
+  summarize,
+  pen_color_to_rgb,
+  signature,
+  default_palette,
+  document_palette,
+  nearest,
+};
+
+export { JsonDecodeError, JwwParseError, PaletteError, SjisEncodeError };
+
+const PARSE_MODES = ['strict', 'lenient'];
+
+function parseMode(options) {
+  const mode = options?.mode ?? 'strict';
+  if (!PARSE_MODES.includes(mode)) {
+    throw new TypeError(`Unknown parse mode: ${mode}`);
+  }
+  return mode;
+}
+
+function progressCallback(options) {
+  const onProgress = options?.onProgress;
+  if (!onProgress) {
+    return () => {};
+  }
+  return (progress) =>
+    onProgress({
+      phase: progress.phase,
+      bytesRead: progress.bytes_read,
+      totalBytes: progress.total_bytes,
+      entitiesParsed: progress.entities_parsed,
+    });
+}
+
+// Parsing is synchronous, so an AbortSignal is only seen as aborted when it
+// is aborted before the call or from within onProgress / shouldCancel.
+function cancelCheck(options) {
+  const signal = options?.signal;
+  const shouldCancel = options?.shouldCancel;
+  return () => Boolean(signal?.aborted || shouldCancel?.());
+}
+
+/**
+ * Parse JWW binary data without throwing.
+ */
+export function try_parse(data, options) {
+  const result = try_parse_raw(
+    data,
+    parseMode(options),
+    progressCallback(options),
+    cancelCheck(options),
+  );
+  if (result.ok) {
+    return {
+      ok: true,
+      document: result.document,
+      diagnostics: result.diagnostics,
+    };
+  }
+  return {
+    ok: false,
+    error: new JwwParseError(result.code, result.offset, result.message),
+  };
+}
+
+/**
+ * Parse JWW binary data, throwing a JwwParseError on invalid input.
+ * In lenient mode, returns the document together with its diagnostics.
+ */
+export function parse(data, options) {
+  const mode = parseMode(options);
+  const result = try_parse(data, options);
+  if (!result.ok) {
+    throw result.error;
+  }
+  if (mode === 'lenient') {
+    return { document: result.document, diagnostics: result.diagnostics };
+  }
+  return result.document;
+}
+
+/**
+ * Read the entity list of JWW binary data one entity at a time without
+ * building a Document. Block inserts are yielded as `Block` entities.
+ * The generator's return value is the list of recorded diagnostics.
+ */
+export function* iterate_entities(data, options) {
+  const opened = try_open_entity_stream_raw(data, parseMode(options));
+  if (!opened.ok) {
+    throw new JwwParseError(opened.code, opened.offset, opened.message);
+  }
+  for (;;) {
+    const next = try_next_entity_raw(opened.stream);
+    if (!next.ok) {
+      throw new JwwParseError(next.code, next.offset, next.message);
+    }
+    if (next.done) {
+      return next.diagnostics;
+    }
+    yield next.entity;
+  }
+}
+
+/**
+ * Convert a JSON string produced by `to_json_string` back to a Document,
+ * throwing a JsonDecodeError on invalid input.
+ */
+export function from_json(json) {
+  const result = try_from_json_raw(json);
+  if (!result.ok) {
+    throw new JsonDecodeError(result.path, result.message);
+  }
+  return result.document;
+}
+
+/**
+ * Convert JWW binary data directly to a DXF string.
+ */
+export function jww_to_dxf(data) {
+  return to_dxf_string(parse(data));
+}
+
+const UNMAPPABLE_POLICIES = ['throw', 'replace', 'diagnostic'];
+
+function unmappablePolicy(options) {
+  const policy = options?.unmappable ?? 'throw';
+  if (!UNMAPPABLE_POLICIES.includes(policy)) {
+    throw new TypeError(`Unknown unmappable policy: ${policy}`);
+  }
+  return policy;
+}
+
+function encodeResult(result, policy) {
+  if (!result.ok) {
+    throw new SjisEncodeError(result.character, result.index, result.message);
+  }
+  if (policy === 'diagnostic') {
+    return { bytes: result.bytes, diagnostics: result.diagnostics };
+  }
+  return result.bytes;
+}
+
+/**
+ * Serialize a JWW Document to .jww file bytes.
+ * Strings are written as Shift_JIS (CP932); characters without a code are
+ * handled according to `options.unmappable`.
+ */
+export function to_jww_bytes(doc, options) {
+  const policy = unmappablePolicy(options);
+  return encodeResult(try_to_jww_bytes_raw(doc, policy), policy);
+}
+
+/**
+ * Encode a string as Shift_JIS (CP932).
+ */
+export function encode_shift_jis(text, options) {
+  const policy = unmappablePolicy(options);
+  return encodeResult(try_encode_shift_jis_raw(text, policy), policy);
+}
+
+/**
+ * Render a JWW Document as an SVG string.
+ */
+export function to_svg(doc, options) {
+  return to_svg_raw(
+    doc,
+    options?.width ?? 0,
+    options?.height ?? 0,
+    options?.padding ?? 0.02,
+    options?.background ?? '#000000',
+    options?.defaultColor ?? '#ffffff',
+    options?.lineWidth ?? 0.18,
+    options?.hideHiddenLayers ?? false,
+  );
+}
+
+/**
+ * Expand block inserts into world-space entities.
+ */
+export function explode_blocks(doc, options) {
+  return explode_blocks_raw(doc, options?.depth ?? -1);
+}
+
+/**
+ * Compute the drawing extents, overall and per layer group.
+ */
+export function get_extents(doc, options) {
+  return get_extents_raw(
+    doc,
+    options?.visibleOnly ?? false,
+    options?.includeBlocks ?? true,
+  );
+}
+
+/**
+ * Bounds of one entity in drawing coordinates. When `doc` is given, a Block
+ * is measured by its exploded block definition instead of its insertion point.
+ */
+export function entity_bounds(entity, doc) {
+  return entity_bounds_raw(entity, doc);
+}
+
+function toImageFile(file) {
+  const mime = file.mime_type;
+  const data = file.data;
+  return {
+    index: file.index,
+    mime,
+    extension: file.extension,
+    suggestedFileName: file.file_name,
+    data,
+    toBlob: () => new Blob([data], { type: mime }),
+  };
+}
+
+/**
+ * Extract every embedded image with its MIME type and a file name taken
+ * from the Image entity that references it.
+ */
+export function image_files(doc) {
+  return image_files_raw(doc).map(toImageFile);
+}
+
+/**
+ * Resolve an Image entity to the embedded image it references.
+ */
+export function resolve_image(doc, image) {
+  const file = resolve_image_raw(doc, image);
+  return file ? toImageFile(file) : undefined;
+}
+
+/**
+ * Select top-level entities by layer, state, type, pen color and area.
+ */
+export function filter_entities(doc, options) {
+  return filter_entities_raw(
+    doc,
+    options?.layerGroups ?? [],
+    options?.layers ?? [],
+    options?.layerNames ?? [],
+    options?.states ?? [],
+    options?.types ?? [],
+    options?.penColors ?? [],
+    options?.bbox,
+  );
+}
+
+/**
+ * Group top-level entities by layer, with the effective layer state.
+ */
+export function group_by_layer(doc) {
+  return group_by_layer_raw(doc).map((bucket) => ({
+    group: bucket.group,
+    layer: bucket.layer,
+    groupName: bucket.group_name,
+    layerName: bucket.layer_name,
+    state: bucket.state,
+    entities: bucket.entities,
+  }));
+}
+
+/**
+ * Load a Jw_win.jwf-style pen configuration on top of `base`
+ * (the default palette when omitted), throwing a PaletteError on a
+ * malformed line.
+ */
+export function parse_palette(text, base) {
+  const result = try_parse_palette_raw(text, base ?? default_palette());
+  if (!result.ok) {
+    throw new PaletteError(result.line, result.message);
+  }
+  return result.palette;
+}
+
+let defaultPalette;
+
+/**
+ * Resolve the display color, dash pattern and printed width of an entity.
+ */
+export function resolve_style(entity, options) {
+  defaultPalette ??= default_palette();
+  return resolve_style_raw(entity, options?.palette ?? defaultPalette);
+}
+
+/**
+ * Metadata records other than the known `metadata_settings` fields, as a
+ * plain object in the order they appear (a repeated key keeps its last value).
+ */
+export function metadata_extra(doc) {
+  return Object.fromEntries(
+    doc.metadata_settings.extra.map(({ key, value }) => [key, value]),
+  );
+}
+
+/**
+ * Decode the italic/bold flags, character type and special sequences of a
+ * text entity, expanding macros when `context` is given.
+ */
+export function decode_text(text, context) {
+  const decoded = decode_text_raw(
+    text,
+    context && {
+      file_name: context.fileName ?? '',
+      file_path: context.filePath ?? '',
+      date: context.date ?? '',
+      time: context.time ?? '',
+      page: context.page ?? 1,
+      page_count: context.pageCount ?? 1,
+    },
+  );
+  return {
+    italic: decoded.italic,
+    bold: decoded.bold,
+    charType: decoded.char_type,
+    fontName: decoded.font_name,
+    runs: decoded.runs.map((run) => {
+      const { kind, name } = text_run_kind_parts(run.kind);
+      return name === undefined
+        ? { kind, text: run.text }
+        : { kind, text: run.text, name };
+    }),
+  };
+}
+
+/**
+ * Lay out a text entity: rotated box, baseline, the nine reference points
+ * and per-character boxes honoring `spacing` and full/half-width characters.
+ */
+export function text_layout(text, options) {
+  const metrics = options?.fontMetrics;
+  const layout = text_layout_raw(text, {
+    full_width: metrics?.fullWidth ?? 1,
+    half_width: metrics?.halfWidth ?? 0.5,
+    descent: metrics?.descent ?? 0,
+  });
+  return {
+    width: layout.width,
+    height: layout.height,
+    corners: layout.corners,
+    baselineStart: layout.baseline_start,
+    baselineEnd: layout.baseline_end,
+    anchors: layout.anchors,
+    chars: layout.chars,
+  };
+}
+
+/**
+ * Build a spatial index over the entities of a drawing, with blocks
+ * exploded, for hit-testing and area queries.
+ */
+export function spatial_index(doc, options) {
+  return spatial_index_raw(doc, options?.visibleOnly ?? false);
+}
+
+/**
+ * Entities within `tolerance` of (x, y), nearest first.
+ */
+export function hit_test(index, x, y, tolerance) {
+  return hit_test_raw(index, x, y, tolerance ?? 0);
+}
+
+/**
+ * Entities crossing `bbox`, or entirely inside it with `contained`.
+ */
+export function query_rect(index, bbox, options) {
+  return query_rect_raw(index, bbox, options?.contained ?? false);
+}
+
+const LENGTH_UNITS = ['mm', 'cm', 'm'];
+
+function lengthUnit(options, fallback) {
+  const unit = options?.unit ?? fallback;
+  if (!LENGTH_UNITS.includes(unit)) {
+    throw new TypeError(`Unknown length unit: ${unit}`);
+  }
+  return unit;
+}
+
+/**
+ * Convert the coordinates and lengths of a drawing from millimeters to
+ * `unit` (meters by default). JWW stores real-size millimeters, so layer
+ * group scales are only applied with `groupScale`.
+ */
+export function to_world_coordinates(doc, options) {
+  return to_world_coordinates_raw(
+    doc,
+    lengthUnit(options, 'm'),
+    options?.groupScale ?? false,
+  );
+}
+
+/**
+ * Convert a drawing from `to_world_coordinates` back to millimeters for
+ * `to_jww_bytes`.
+ */
+export function from_world_coordinates(doc, options) {
+  return from_world_coordinates_raw(
+    doc,
+    lengthUnit(options, 'm'),
+    options?.groupScale ?? false,
+  );
+}
+
+/**
+ * Landscape paper size of the drawing, or the real-size area it covers at
+ * the scale of layer group `group`.
+ */
+export function paper_dimensions(doc, options) {
+  return paper_dimensions_raw(doc, options?.group, lengthUnit(options, 'mm'));
+}
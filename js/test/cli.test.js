@@ -0,0 +1,132 @@
+// Batch runs of the `jww-parser` bin in a child process.
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import {
+  existsSync,
+  mkdirSync,
+  mkdtempSync,
+  rmSync,
+  writeFileSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { invalidJww, sampleJww } from './fixtures.js';
+
+const CLI = fileURLToPath(new URL('../../dist/cli.mjs', import.meta.url));
+
+function run(cwd, ...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: 'utf8' });
+}
+
+function withDrawings(callback) {
+  const dir = mkdtempSync(join(tmpdir(), 'jww-parser-cli-'));
+  try {
+    mkdirSync(join(dir, 'drawings', 'sub'), { recursive: true });
+    writeFileSync(join(dir, 'drawings', 'good.jww'), sampleJww());
+    writeFileSync(join(dir, 'drawings', 'sub', 'nested.jww'), sampleJww());
+    writeFileSync(join(dir, 'drawings', 'bad.jww'), invalidJww());
+    writeFileSync(join(dir, 'drawings', 'notes.txt'), 'not a drawing');
+    callback(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a batch with one failing file converts the rest and exits with 1', () => {
+  withDrawings((dir) => {
+    const result = run(
+      dir,
+      'convert',
+      '--to',
+      'svg',
+      '--out-dir',
+      'out',
+      'drawings/**/*.jww',
+    );
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /good\.jww -> out[\\/]good\.svg/);
+    assert.match(result.stdout, /nested\.jww -> out[\\/]sub[\\/]nested\.svg/);
+    assert.match(result.stderr, /bad\.jww: failed: /);
+    assert.match(result.stderr, /2 of 3 files succeeded/);
+    assert.ok(existsSync(join(dir, 'out', 'good.svg')));
+    assert.ok(existsSync(join(dir, 'out', 'sub', 'nested.svg')));
+    assert.ok(!existsSync(join(dir, 'out', 'bad.svg')));
+  });
+});
+
+test('same-named inputs keep their paths below the glob base', () => {
+  withDrawings((dir) => {
+    writeFileSync(join(dir, 'drawings', 'sub', 'good.jww'), sampleJww());
+    const result = run(
+      dir,
+      'convert',
+      '--to',
+      'json',
+      '--out-dir',
+      'out',
+      'drawings/**/good.jww',
+    );
+    assert.equal(result.status, 0);
+    assert.ok(existsSync(join(dir, 'out', 'good.json')));
+    assert.ok(existsSync(join(dir, 'out', 'sub', 'good.json')));
+  });
+});
+
+test('inputs that would write the same output exit with 2', () => {
+  withDrawings((dir) => {
+    writeFileSync(join(dir, 'drawings', 'sub', 'good.jww'), sampleJww());
+    for (const args of [
+      ['convert', '--to', 'json', '--out-dir', 'out'],
+      ['info', '--extract-images', 'out'],
+    ]) {
+      const result = run(
+        dir,
+        ...args,
+        'drawings/good.jww',
+        'drawings/sub/good.jww',
+      );
+      assert.equal(result.status, 2, args.join(' '));
+      assert.match(result.stderr, /would both write/);
+      assert.ok(!existsSync(join(dir, 'out')));
+    }
+  });
+});
+
+test('a batch where every file succeeds exits with 0', () => {
+  withDrawings((dir) => {
+    const result = run(
+      dir,
+      'info',
+      '--json',
+      'drawings/g*.jww',
+      'drawings/sub/*.jww',
+    );
+    assert.equal(result.status, 0);
+    const lines = result.stdout
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      lines.map((line) => line.file),
+      [join('drawings', 'good.jww'), join('drawings/sub', 'nested.jww')],
+    );
+    assert.equal(lines[0].entity_count, 1);
+  });
+});
+
+test('usage errors exit with 2', () => {
+  withDrawings((dir) => {
+    for (const args of [
+      ['info', 'drawings/*.dxf'],
+      ['convert', 'drawings/good.jww'],
+      ['info', '--unknown', 'drawings/good.jww'],
+      ['convert', 'drawings/good.jww', '--to'],
+    ]) {
+      const result = run(dir, ...args);
+      assert.equal(result.status, 2, args.join(' '));
+      assert.match(result.stderr, /Usage: jww-parser/);
+    }
+  });
+});
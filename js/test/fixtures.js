@@ -0,0 +1,74 @@
+// Inputs shared by the tests in this directory. The tests load the bundled
+// output, so run `pnpm run build` before `pnpm run test:js`.
+import { from_json, to_jww_bytes } from '../../dist/index.mjs';
+
+function layerGroup() {
+  return {
+    state: 2,
+    write_layer: 0,
+    scale: 1,
+    protect: 0,
+    layers: Array.from({ length: 16 }, () => ({ state: 2, protect: 0, name: '' })),
+    name: '',
+  };
+}
+
+/**
+ * Ver.7.00 .jww bytes holding a single line from (0, 0) to (100, 50).
+ */
+export function sampleJww() {
+  const base = {
+    group: 0,
+    pen_style: 1,
+    pen_color: 1,
+    pen_width: 0,
+    layer: 0,
+    layer_group: 0,
+    flag: 0,
+  };
+  const doc = {
+    version: 700,
+    memo: 'test',
+    paper_size: 3,
+    write_layer_group: 0,
+    layer_groups: Array.from({ length: 16 }, layerGroup),
+    entities: [
+      {
+        type: 'Line',
+        value: { base, start_x: 0, start_y: 0, end_x: 100, end_y: 50 },
+      },
+    ],
+    block_defs: [],
+    embedded_images: [],
+    print_settings: { origin_x: 0, origin_y: 0, scale: 1, rotation_setting: 0 },
+    sunpou_settings: {
+      reserved: Array(14).fill(0),
+      sunpou1: 0,
+      sunpou2: 0,
+      sunpou3: 0,
+      sunpou4: 0,
+      sunpou5: 0,
+      dummy: 0,
+      max_line_width: 0,
+    },
+    metadata_settings: {
+      printer_paper_size: '',
+      draw_bmp_touka: '',
+      view_direct2d: '',
+      printer_bmp_zentai: '',
+      printer_orientation: '',
+      printer_d2d_bmp: '',
+      extra: [],
+      records: [],
+    },
+    header_extra: '',
+  };
+  return to_jww_bytes(from_json(JSON.stringify(doc)));
+}
+
+/**
+ * Bytes that are not a JWW file (the signature does not match).
+ */
+export function invalidJww() {
+  return new TextEncoder().encode('NotAJwwFile.....');
+}
@@ -0,0 +1,157 @@
+// Round trips through `jww-parser/worker` on a Node worker_threads thread.
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { Worker } from 'node:worker_threads';
+import { createJwwWorker, JwwParseError } from '../../dist/worker-node.mjs';
+import { createClient } from '../worker/client.js';
+import { invalidJww, sampleJww } from './fixtures.js';
+
+// A client whose threads never answer, so requests stay pending until the
+// thread is stopped. The threads are collected in `threads`.
+function idleClient(threads, options) {
+  return createClient(({ message, error, exit }) => {
+    const worker = new Worker('setInterval(() => {}, 1000);', { eval: true });
+    worker.on('message', message);
+    worker.on('error', error);
+    worker.on('exit', exit);
+    threads.push(worker);
+    return {
+      post: (request, transfer) => worker.postMessage(request, transfer),
+      terminate: () => worker.terminate(),
+    };
+  }, options);
+}
+
+test('parse and convert in a worker thread', async () => {
+  const worker = createJwwWorker();
+  try {
+    const data = new Uint8Array(sampleJww());
+    const phases = [];
+    const doc = await worker.parse(data, {
+      onProgress: (progress) => phases.push(progress.phase),
+    });
+    assert.equal(doc.memo, 'test');
+    assert.equal(doc.entities.length, 1);
+    assert.equal(doc.entities[0]._0.end_x, 100);
+    assert.deepEqual(phases.slice(0, 2), ['header', 'entities']);
+    assert.equal(phases.at(-1), 'convert');
+    // The input buffer is transferred to the thread
+    assert.equal(data.byteLength, 0);
+
+    const json = JSON.parse(await worker.jww_to_json(sampleJww()));
+    assert.equal(json.entities[0].type, 'Line');
+    assert.match(await worker.jww_to_dxf(sampleJww()), /\bLINE\b/);
+    assert.match(await worker.jww_to_svg(sampleJww()), /^<svg /);
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('a view over part of a buffer is copied, not transferred', async () => {
+  const worker = createJwwWorker();
+  try {
+    const bytes = sampleJww();
+    const padded = new Uint8Array(bytes.length + 8);
+    padded.set(bytes, 8);
+    const view = padded.subarray(8);
+    const doc = await worker.parse(view);
+    assert.equal(doc.entities.length, 1);
+    assert.equal(padded.byteLength, bytes.length + 8);
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('parse errors are rethrown as JwwParseError', async () => {
+  const worker = createJwwWorker();
+  try {
+    await assert.rejects(worker.parse(invalidJww()), (error) => {
+      assert.ok(error instanceof JwwParseError);
+      assert.equal(error.code, 'INVALID_SIGNATURE');
+      assert.equal(error.offset, 0);
+      return true;
+    });
+    // The thread keeps serving requests after an error
+    const doc = await worker.parse(sampleJww());
+    assert.equal(doc.entities.length, 1);
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('aborting a request cancels it in the thread and keeps queued requests', async () => {
+  const worker = createJwwWorker();
+  try {
+    const controller = new AbortController();
+    const aborted = worker.parse(sampleJww(), { signal: controller.signal });
+    const queued = worker.parse(sampleJww());
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+    assert.equal((await queued).entities.length, 1);
+    // An already aborted signal rejects without starting the request
+    await assert.rejects(
+      worker.parse(sampleJww(), { signal: controller.signal }),
+      { name: 'AbortError' },
+    );
+    const doc = await worker.parse(sampleJww());
+    assert.equal(doc.entities.length, 1);
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('a thread that does not stop after an abort is terminated', async () => {
+  const threads = [];
+  const client = idleClient(threads, { cancelTimeout: 50 });
+  try {
+    const controller = new AbortController();
+    const aborted = client.parse(sampleJww(), { signal: controller.signal });
+    const queued = client.parse(sampleJww());
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+    await assert.rejects(queued, /aborted request did not stop/);
+    // The next request starts a new thread
+    client.parse(sampleJww()).catch(() => {});
+    assert.equal(threads.length, 2);
+  } finally {
+    client.terminate();
+  }
+});
+
+test('a thread killed mid-request rejects pending requests', async () => {
+  const threads = [];
+  const client = idleClient(threads);
+  try {
+    const first = client.parse(sampleJww());
+    const second = client.parse(sampleJww());
+    await threads[0].terminate();
+    await assert.rejects(first, /Worker exited with code/);
+    await assert.rejects(second, /Worker exited with code/);
+    // The next request starts a new thread
+    const next = client.parse(sampleJww());
+    assert.equal(threads.length, 2);
+    client.terminate();
+    await assert.rejects(next, /Worker terminated/);
+  } finally {
+    client.terminate();
+  }
+});
+
+test('shouldCancel is rejected in favour of signal', async () => {
+  const worker = createJwwWorker();
+  try {
+    await assert.rejects(
+      worker.parse(sampleJww(), { shouldCancel: () => false }),
+      { name: 'TypeError', message: /use signal/ },
+    );
+  } finally {
+    worker.terminate();
+  }
+});
+
+test('terminate rejects pending requests', async () => {
+  const worker = createJwwWorker();
+  const pending = worker.parse(sampleJww());
+  worker.terminate();
+  await assert.rejects(pending, /Worker terminated/);
+});
@@ -0,0 +1,8 @@
+// Browser Worker script for `jww-parser/worker`.
+import { handleRequest } from './handler.js';
+
+self.onmessage = (event) => {
+  handleRequest(event.data, (message, transfer) =>
+    self.postMessage(message, transfer ?? []),
+  );
+};
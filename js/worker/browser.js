@@ -0,0 +1,25 @@
+// `jww-parser/worker` entry for browsers: runs parsing and conversion in a
+// module Worker so the main thread stays responsive.
+import { createClient } from './client.js';
+
+export { JwwParseError, SjisEncodeError } from '../errors.js';
+
+/**
+ * Create a client backed by a dedicated Worker.
+ */
+export function createJwwWorker() {
+  return createClient(({ message, error }) => {
+    const worker = new Worker(new URL('./worker-thread.mjs', import.meta.url), {
+      type: 'module',
+    });
+    worker.onmessage = (event) => message(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      error(event.error ?? new Error(event.message));
+    };
+    return {
+      post: (request, transfer) => worker.postMessage(request, transfer),
+      terminate: () => worker.terminate(),
+    };
+  });
+}
@@ -0,0 +1,184 @@
+// Promise-based client shared by the browser and Node worker entries.
+import { JwwParseError, SjisEncodeError } from '../errors.js';
+
+function deserializeError(error) {
+  switch (error.name) {
+    case 'JwwParseError':
+      return new JwwParseError(error.code, error.offset, error.message);
+    case 'SjisEncodeError':
+      return new SjisEncodeError(error.character, error.index, error.message);
+    default: {
+      const result = new Error(error.message);
+      result.name = error.name;
+      return result;
+    }
+  }
+}
+
+// The input is transferred, not copied, when the view covers its whole
+// ArrayBuffer; otherwise only the viewed range is copied and transferred.
+function transferable(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (
+    typeof SharedArrayBuffer !== 'undefined' &&
+    bytes.buffer instanceof SharedArrayBuffer
+  ) {
+    return { bytes, transfer: [] };
+  }
+  const owned =
+    bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+      ? bytes
+      : bytes.slice();
+  return { bytes: owned, transfer: [owned.buffer] };
+}
+
+// How long an aborted request may keep the thread busy before it is terminated
+const CANCEL_TIMEOUT_MS = 1000;
+
+// A flag shared with the thread that the handler checks while parsing. Without
+// shared memory (a browser page that is not cross-origin isolated) there is
+// none, and aborting a request terminates the thread.
+function cancelFlag() {
+  if (
+    typeof SharedArrayBuffer === 'undefined' ||
+    globalThis.crossOriginIsolated === false
+  ) {
+    return undefined;
+  }
+  return new Int32Array(new SharedArrayBuffer(4));
+}
+
+/**
+ * Create a worker client.
+ *
+ * `spawn({ message, error, exit })` starts a thread and returns
+ * `{ post(message, transfer), terminate(), ref?(), unref?() }`; it must call
+ * `message` for every message from the thread, `error` when the thread fails
+ * and `exit` when the thread stops on its own (where the platform reports it).
+ * The thread is started on the first request.
+ */
+export function createClient(spawn, { cancelTimeout = CANCEL_TIMEOUT_MS } = {}) {
+  let thread = null;
+  let nextId = 1;
+  const pending = new Map();
+  // Timers of aborted requests the thread has not answered yet
+  const cancelling = new Map();
+
+  function settle(id) {
+    const request = pending.get(id);
+    pending.delete(id);
+    request?.signal?.removeEventListener('abort', request.onAbort);
+    if (pending.size === 0) {
+      thread?.unref?.();
+    }
+    return request;
+  }
+
+  // Terminates the thread; pending requests fail with `reason` and the next
+  // request starts a new thread.
+  function stop(reason) {
+    const ids = [...pending.keys()];
+    thread?.terminate();
+    thread = null;
+    for (const timer of cancelling.values()) {
+      clearTimeout(timer);
+    }
+    cancelling.clear();
+    for (const id of ids) {
+      settle(id).reject(reason);
+    }
+  }
+
+  // Events of a thread that has already been replaced are ignored.
+  function start() {
+    const current = spawn({
+      message: handleMessage,
+      error: (error) => {
+        if (thread === current) {
+          stop(error);
+        }
+      },
+      exit: (code) => {
+        if (thread === current) {
+          stop(new Error(`Worker exited with code ${code}`));
+        }
+      },
+    });
+    return current;
+  }
+
+  // The handler sees the flag at its next progress check and answers with a
+  // CANCELLED error; a thread that stays busy is terminated as a last resort.
+  function cancel(id, flag) {
+    if (!flag) {
+      stop(new Error('Worker terminated because another request was aborted'));
+      return;
+    }
+    Atomics.store(flag, 0, 1);
+    const timer = setTimeout(() => {
+      cancelling.delete(id);
+      stop(new Error('Worker terminated because an aborted request did not stop'));
+    }, cancelTimeout);
+    timer.unref?.();
+    cancelling.set(id, timer);
+  }
+
+  function handleMessage(message) {
+    if (message.type !== 'progress' && cancelling.has(message.id)) {
+      clearTimeout(cancelling.get(message.id));
+      cancelling.delete(message.id);
+    }
+    const request = pending.get(message.id);
+    if (!request) {
+      return;
+    }
+    if (message.type === 'progress') {
+      request.onProgress?.(message.progress);
+      return;
+    }
+    settle(message.id);
+    if (message.type === 'result') {
+      request.resolve(message.result);
+    } else {
+      request.reject(deserializeError(message.error));
+    }
+  }
+
+  function call(type, data, options) {
+    const { signal, onProgress, ...rest } = options ?? {};
+    // Functions cannot be posted to the thread; cancel with `signal` instead
+    if (rest.shouldCancel !== undefined) {
+      return Promise.reject(
+        new TypeError('shouldCancel is not supported by worker requests; use signal'),
+      );
+    }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    const { bytes, transfer } = transferable(data);
+    const flag = signal ? cancelFlag() : undefined;
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      const onAbort = () => {
+        const request = settle(id);
+        cancel(id, flag);
+        request.reject(signal.reason);
+      };
+      pending.set(id, { resolve, reject, onProgress, signal, onAbort });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (!thread) {
+        thread = start();
+      }
+      thread.ref?.();
+      thread.post({ id, type, data: bytes, options: rest, cancel: flag }, transfer);
+    });
+  }
+
+  return {
+    parse: (data, options) => call('parse', data, options),
+    jww_to_json: (data, options) => call('jww_to_json', data, options),
+    jww_to_dxf: (data, options) => call('jww_to_dxf', data, options),
+    jww_to_svg: (data, options) => call('jww_to_svg', data, options),
+    terminate: () => stop(new Error('Worker terminated')),
+  };
+}
@@ -0,0 +1,72 @@
+// Request handler run inside the worker thread (browser Worker or Node
+// worker_threads). Each request carries the JWW bytes; results are posted
+// back with embedded image bytes as transferables.
+import { parse, to_json_string, to_dxf_string, to_svg } from '../index.js';
+
+function imageBuffers(doc) {
+  const buffers = new Set();
+  for (const image of doc.embedded_images) {
+    buffers.add(image.data.buffer);
+  }
+  return [...buffers];
+}
+
+function parseDocument(data, options, progress, shouldCancel) {
+  const result = parse(data, {
+    mode: options?.mode ?? 'strict',
+    onProgress: progress,
+    shouldCancel,
+  });
+  const doc = options?.mode === 'lenient' ? result.document : result;
+  progress({
+    phase: 'convert',
+    bytesRead: data.length,
+    totalBytes: data.length,
+    entitiesParsed: doc.entities.length,
+  });
+  return { result, doc };
+}
+
+function run(type, data, options, progress, shouldCancel) {
+  const { result, doc } = parseDocument(data, options, progress, shouldCancel);
+  switch (type) {
+    case 'parse':
+      return { result, transfer: imageBuffers(doc) };
+    case 'jww_to_json':
+      return { result: to_json_string(doc), transfer: [] };
+    case 'jww_to_dxf':
+      return { result: to_dxf_string(doc), transfer: [] };
+    case 'jww_to_svg':
+      return { result: to_svg(doc, options), transfer: [] };
+    default:
+      throw new TypeError(`Unknown worker request: ${type}`);
+  }
+}
+
+function serializeError(error) {
+  return {
+    name: error?.name ?? 'Error',
+    message: error?.message ?? String(error),
+    code: error?.code,
+    offset: error?.offset,
+    character: error?.character,
+    index: error?.index,
+  };
+}
+
+/**
+ * Handle one request message and post the progress, result or error
+ * messages for it through `post(message, transfer)`. When the client sets
+ * the request's shared `cancel` flag, parsing stops with a CANCELLED error.
+ */
+export function handleRequest(request, post) {
+  const { id, type, data, options, cancel } = request;
+  const progress = (value) => post({ id, type: 'progress', progress: value });
+  const shouldCancel = cancel && (() => Atomics.load(cancel, 0) !== 0);
+  try {
+    const { result, transfer } = run(type, data, options, progress, shouldCancel);
+    post({ id, type: 'result', result }, transfer);
+  } catch (error) {
+    post({ id, type: 'error', error: serializeError(error) });
+  }
+}
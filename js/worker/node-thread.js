@@ -0,0 +1,9 @@
+// Node worker_threads script for `jww-parser/worker`.
+import { parentPort } from 'node:worker_threads';
+import { handleRequest } from './handler.js';
+
+parentPort.on('message', (request) => {
+  handleRequest(request, (message, transfer) =>
+    parentPort.postMessage(message, transfer ?? []),
+  );
+});
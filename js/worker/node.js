@@ -0,0 +1,27 @@
+// `jww-parser/worker` entry for Node.js: the worker_threads counterpart of
+// the browser entry. The thread does not keep the process alive while idle.
+import { Worker } from 'node:worker_threads';
+import { createClient } from './client.js';
+
+export { JwwParseError, SjisEncodeError } from '../errors.js';
+
+/**
+ * Create a client backed by a worker thread.
+ */
+export function createJwwWorker() {
+  return createClient(({ message, error, exit }) => {
+    const worker = new Worker(
+      new URL('./worker-thread-node.mjs', import.meta.url),
+    );
+    worker.on('message', message);
+    worker.on('error', error);
+    worker.on('exit', exit);
+    worker.unref();
+    return {
+      post: (request, transfer) => worker.postMessage(request, transfer),
+      terminate: () => worker.terminate(),
+      ref: () => worker.ref(),
+      unref: () => worker.unref(),
+    };
+  });
+}
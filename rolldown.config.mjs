@@ -1,22 +1,73 @@
 import { defineConfig } from 'rolldown';
 
-export default defineConfig({
-  input: './target/js/release/build/jww_parser.js',
-  output: [
-    {
+export default defineConfig([
+  {
+    input: './js/index.js',
+    output: [
+      {
+        format: 'esm',
+        file: './dist/index.mjs',
+        sourcemap: true,
+        exports: 'named'
+      },
+      {
+        format: 'cjs',
+        file: './dist/index.cjs',
+        sourcemap: true,
+        exports: 'named'
+      }
+    ],
+    external: [
+      /^node:/
+    ]
+  },
+  {
+    // jww-parser/worker: client entries and the scripts they start in a thread.
+    // Each thread script is self-contained so it can be loaded by URL.
+    input: {
+      worker: './js/worker/browser.js',
+      'worker-node': './js/worker/node.js'
+    },
+    output: {
       format: 'esm',
-      file: './dist/index.mjs',
+      dir: './dist',
+      entryFileNames: '[name].mjs',
       sourcemap: true,
       exports: 'named'
     },
-    {
-      format: 'cjs',
-      file: './dist/index.cjs',
-      sourcemap: true,
-      exports: 'named'
+    external: [
+      /^node:/
+    ]
+  },
+  {
+    input: './js/cli.js',
+    output: {
+      format: 'esm',
+      file: './dist/cli.mjs',
+      banner: '#!/usr/bin/env node',
+      sourcemap: true
+    },
+    external: [
+      /^node:/
+    ]
+  },
+  {
+    input: './js/worker/browser-thread.js',
+    output: {
+      format: 'esm',
+      file: './dist/worker-thread.mjs',
+      sourcemap: true
     }
-  ],
-  external: [
-    /^node:/
-  ]
-});
+  },
+  {
+    input: './js/worker/node-thread.js',
+    output: {
+      format: 'esm',
+      file: './dist/worker-thread-node.mjs',
+      sourcemap: true
+    },
+    external: [
+      /^node:/
+    ]
+  }
+]);
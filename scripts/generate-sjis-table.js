@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Generate core/sjis_table.mbt, the Unicode -> CP932 (Windows-31J) encode table.
+//
+// The table is derived from the WHATWG Shift_JIS decoder built into Node.js,
+// which covers JIS X 0208 plus the NEC special characters (row 13), the
+// NEC-selected IBM extensions and the IBM extensions. When a character has
+// several codes, the encoder uses the same preference as CP932: the first
+// code in table order, excluding the NEC-selected IBM extensions (0xED40-0xEEFC).
+// User-defined characters (0xF040-0xF9FC <-> U+E000-U+E757) are computed in code.
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const PLACEHOLDER = '�';
+const decoder = new TextDecoder('shift_jis');
+const leads = [];
+for (let lead = 0x81; lead <= 0x9f; lead++) leads.push(lead);
+for (let lead = 0xe0; lead <= 0xfc; lead++) leads.push(lead);
+const trails = [];
+for (let trail = 0x40; trail <= 0xfc; trail++) {
+  if (trail !== 0x7f) trails.push(trail);
+}
+
+const seen = new Set();
+const rows = [];
+for (const lead of leads) {
+  // User-defined area is mapped to the Private Use Area arithmetically
+  if (lead >= 0xf0 && lead <= 0xf9) continue;
+  let row = '';
+  let mapped = 0;
+  for (const trail of trails) {
+    const text = decoder.decode(new Uint8Array([lead, trail]));
+    const excluded = lead === 0xed || lead === 0xee;
+    if (text.length !== 1 || text === PLACEHOLDER || excluded || seen.has(text)) {
+      row += PLACEHOLDER;
+      continue;
+    }
+    seen.add(text);
+    row += text;
+    mapped++;
+  }
+  if (mapped > 0) rows.push({ lead, row });
+}
+
+const lines = [
+  '///|',
+  '/// Unicode -> CP932 (Windows-31J) 2バイト文字の変換表',
+  '///',
+  '/// scripts/generate-sjis-table.js で生成。直接編集しないこと。',
+  '/// 各行は先行バイトと、後続バイト 0x40-0x7E, 0x80-0xFC (188個) に対応する',
+  '/// 文字の並び。U+FFFD はその符号へは変換しない位置を表す。',
+  'let sjis_double_byte_rows : Array[(Int, String)] = [',
+];
+for (const { lead, row } of rows) {
+  lines.push(`  (0x${lead.toString(16).toUpperCase()}, "${row}"),`);
+}
+lines.push(']', '');
+
+const outPath = join(rootDir, 'core', 'sjis_table.mbt');
+writeFileSync(outPath, lines.join('\n'));
+console.log(`Wrote ${rows.length} rows (${seen.size} characters) to ${outPath}`);
@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+/**
+ * TypeScript declaration generator
+ * Generates types/model.d.ts from the MoonBit .mbti interface files
+ * (run `moon info` first).
+ *
+ * Every pub struct, enum and abstract type of the packages is declared with
+ * the shape the MoonBit JS backend gives it at runtime, and functions that
+ * js/index.js re-exports from the build output without a wrapper are declared
+ * from their MoonBit signature. Wrapped functions are declared by hand in
+ * types/index.d.ts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { parseMbti, splitTopLevel } from './lib/mbti-parser.js';
+import { extractDocstrings } from './lib/mbt-docstring.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const rootDir = path.resolve(__dirname, '..');
+
+// Package directories, in output order
+var PACKAGES = ['core', 'dxf', 'svg', '.'];
+
+var OUTPUT = path.join(rootDir, 'types', 'model.d.ts');
+
+var HEADER = [
+  '// Generated by scripts/generate-types.js from the MoonBit .mbti interfaces.',
+  '// Do not edit: change the MoonBit types and run `pnpm run build:types`.',
+  ''
+].join('\n');
+
+var MAP_DECLARATION = [
+  '/**',
+  ' * MoonBit `Map[K, V]` (an insertion-ordered hash map object).',
+  ' * Opaque: only the functions of this package can read it.',
+  ' */',
+  'export interface MoonBitMap<K, V> {',
+  '  readonly [opaque]: "Map";',
+  '}',
+  ''
+].join('\n');
+
+var PRIMITIVES = {
+  Unit: 'void',
+  Bool: 'boolean',
+  Byte: 'number',
+  Int16: 'number',
+  UInt16: 'number',
+  Int: 'number',
+  UInt: 'number',
+  Float: 'number',
+  Double: 'number',
+  Char: 'number',
+  Int64: 'bigint',
+  UInt64: 'bigint',
+  String: 'string',
+  Bytes: 'Uint8Array'
+};
+
+var ARRAYS = ['Array', 'FixedArray', 'ArrayView', 'ReadOnlyArray'];
+
+/**
+ * Find the .mbti file of a package directory
+ */
+function findMbti(pkgDir) {
+  var dir = path.join(rootDir, pkgDir);
+  var names = fs.readdirSync(dir).filter(function(name) {
+    return name.endsWith('.mbti');
+  });
+  if (names.length === 0) {
+    throw new Error('No .mbti file in ' + (pkgDir === '.' ? 'the root package' : pkgDir) +
+      '. Run "moon info" first.');
+  }
+  return path.join(dir, names[0]);
+}
+
+/**
+ * Collect docstrings of the non-test .mbt files of a package directory
+ */
+function packageDocstrings(pkgDir) {
+  var dir = path.join(rootDir, pkgDir);
+  var docstrings = {};
+  fs.readdirSync(dir).forEach(function(name) {
+    if (!name.endsWith('.mbt') || name.endsWith('_test.mbt') || name.endsWith('_wbtest.mbt')) {
+      return;
+    }
+    var extracted = extractDocstrings(fs.readFileSync(path.join(dir, name), 'utf8'));
+    for (var key in extracted) {
+      if (extracted.hasOwnProperty(key)) {
+        docstrings[key] = extracted[key];
+      }
+    }
+  });
+  return docstrings;
+}
+
+/**
+ * Names js/index.js re-exports unchanged from the MoonBit build output
+ */
+function plainReExports() {
+  var source = fs.readFileSync(path.join(rootDir, 'js', 'index.js'), 'utf8');
+  var importMatch = source.match(/import\s*\{([^}]*)\}\s*from\s*'\.\.\/target\/[^']*';/);
+  if (!importMatch) {
+    throw new Error('js/index.js does not import the MoonBit build output');
+  }
+  var imported = importMatch[1].split(',').map(function(s) {
+    return s.trim();
+  }).filter(function(s) {
+    return s !== '' && s.indexOf(' as ') < 0;
+  });
+  var exported = [];
+  var exportRe = /export\s*\{([^}]*)\}/g;
+  var m;
+  while ((m = exportRe.exec(source)) !== null) {
+    m[1].split(',').forEach(function(s) {
+      exported.push(s.trim());
+    });
+  }
+  return imported.filter(function(name) {
+    return exported.indexOf(name) >= 0;
+  });
+}
+
+/**
+ * Split `(A, B) -> R` into its parameter types and return type
+ * @returns {object|null} { params, result } or null for a tuple
+ */
+function splitFunctionType(type) {
+  var depth = 0;
+  for (var i = 0; i < type.length; i++) {
+    if (type[i] === '(') depth++;
+    if (type[i] === ')') {
+      depth--;
+      if (depth === 0) {
+        var rest = type.slice(i + 1).match(/^\s*->\s*(.+)$/);
+        if (!rest) {
+          return null;
+        }
+        return { params: splitTopLevel(type.slice(1, i), ','), result: rest[1] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a MoonBit type to a TypeScript type
+ * @param {string} type - MoonBit type
+ * @param {object} ctx - { known, self, warn }
+ */
+function tsType(type, ctx) {
+  type = type.replace(/\s+(?:raise(?:\s+[\w@.]+)?|noraise)\s*$/, '').trim();
+  type = type.replace(/@[\w/]+\./g, '');
+
+  if (type.endsWith('?')) {
+    return wrapUnion(tsType(type.slice(0, -1), ctx)) + ' | undefined';
+  }
+  if (type[0] === '(') {
+    var fn = splitFunctionType(type);
+    if (fn) {
+      var params = fn.params.map(function(p, i) {
+        return 'arg' + i + ': ' + tsType(p, ctx);
+      });
+      return '(' + params.join(', ') + ') => ' + tsType(fn.result, ctx);
+    }
+    // Tuples are objects with positional fields
+    var items = splitTopLevel(type.slice(1, -1), ',');
+    if (items.length === 1) {
+      return tsType(items[0], ctx);
+    }
+    return '{ ' + items.map(function(item, i) {
+      return '_' + i + ': ' + tsType(item, ctx) + ';';
+    }).join(' ') + ' }';
+  }
+
+  var generic = type.match(/^(\w+)\[(.+)\]$/);
+  if (generic) {
+    var args = splitTopLevel(generic[2], ',');
+    if (ARRAYS.indexOf(generic[1]) >= 0) {
+      return wrapUnion(tsType(args[0], ctx)) + '[]';
+    }
+    if (generic[1] === 'Option') {
+      return wrapUnion(tsType(args[0], ctx)) + ' | undefined';
+    }
+    if (generic[1] === 'Map' && args.length === 2) {
+      ctx.usesMap = true;
+      return 'MoonBitMap<' + tsType(args[0], ctx) + ', ' + tsType(args[1], ctx) + '>';
+    }
+    ctx.warn('no TypeScript shape for ' + type + ', declared as unknown');
+    return 'unknown';
+  }
+  if (type === 'Self') {
+    return ctx.self;
+  }
+  if (PRIMITIVES.hasOwnProperty(type)) {
+    return PRIMITIVES[type];
+  }
+  if (ctx.known[type]) {
+    return type;
+  }
+  ctx.warn('no TypeScript shape for ' + type + ', declared as unknown');
+  return 'unknown';
+}
+
+/**
+ * Parenthesize union and function types before adding `[]` or `|`
+ */
+function wrapUnion(ts) {
+  return /\||=>/.test(ts) ? '(' + ts + ')' : ts;
+}
+
+/**
+ * Format a JSDoc block
+ */
+function jsdoc(lines, indent) {
+  lines = lines.filter(function(line, i) {
+    return line !== '' || (i > 0 && i < lines.length - 1);
+  });
+  if (lines.length === 0) {
+    return '';
+  }
+  if (lines.length === 1) {
+    return indent + '/** ' + lines[0] + ' */\n';
+  }
+  return indent + '/**\n' + lines.map(function(line) {
+    return indent + (line === '' ? ' *' : ' * ' + line);
+  }).join('\n') + '\n' + indent + ' */\n';
+}
+
+function docLines(info) {
+  return info && info.docstring ? info.docstring.split('\n') : [];
+}
+
+function memberComment(info, key, name) {
+  if (!info || !info.fields) {
+    return null;
+  }
+  for (var i = 0; i < info.fields.length; i++) {
+    if (info.fields[i][key] === name) {
+      return info.fields[i].comment;
+    }
+  }
+  return null;
+}
+
+function emitStruct(struct, info, ctx) {
+  ctx.self = struct.name;
+  var out = jsdoc(docLines(info), '');
+  out += 'export interface ' + struct.name + ' {\n';
+  struct.fields.forEach(function(field) {
+    var comment = memberComment(info, 'field', field.name);
+    out += comment ? jsdoc([comment], '  ') : '';
+    out += '  ' + field.name + ': ' + tsType(field.type, ctx) + ';\n';
+  });
+  return out + '}\n';
+}
+
+function emitEnum(enumDef, info, ctx) {
+  ctx.self = enumDef.name;
+  var name = enumDef.name;
+  var variants = enumDef.variants;
+  var constant = variants.every(function(v) {
+    return v.types.length === 0;
+  });
+  var lines = docLines(info);
+  var out;
+
+  if (constant) {
+    // Enums without payloads are represented by the variant index
+    lines = lines.concat(['', 'Represented at runtime by the variant index:']);
+    variants.forEach(function(v, i) {
+      var comment = memberComment(info, 'variant', v.name);
+      lines.push('- `' + i + '` ' + v.name + (comment ? ': ' + comment : ''));
+    });
+    out = jsdoc(lines, '');
+    out += 'export type ' + name + ' = ' + variants.map(function(v, i) {
+      return String(i);
+    }).join(' | ') + ';\n\n';
+    out += '/** Variant names of `' + name + '` */\n';
+    out += 'export type ' + name + 'Name = ' + variants.map(function(v) {
+      return '"' + v.name + '"';
+    }).join(' | ') + ';\n';
+    return out;
+  }
+
+  lines = lines.concat(['', 'Discriminate on `$tag` (the variant index); payloads are `_0`, `_1`, ...']);
+  out = jsdoc(lines, '');
+  out += 'export type ' + name + ' =\n';
+  out += variants.map(function(v, i) {
+    var comment = memberComment(info, 'variant', v.name);
+    var members = ['$tag: ' + i];
+    v.types.forEach(function(t, j) {
+      members.push('_' + j + ': ' + tsType(t, ctx));
+    });
+    return '  /** ' + v.name + (comment ? ': ' + comment : '') + ' */\n' +
+      '  | { ' + members.join('; ') + ' }';
+  }).join('\n') + ';\n';
+
+  // Payload types keyed by variant name, when every variant has one payload
+  var single = variants.every(function(v) {
+    return v.types.length === 1;
+  });
+  if (single) {
+    out += '\n/** Payload of each `' + name + '` variant, keyed by variant name */\n';
+    out += 'export interface ' + name + 'Variants {\n';
+    variants.forEach(function(v) {
+      out += '  ' + v.name + ': ' + tsType(v.types[0], ctx) + ';\n';
+    });
+    out += '}\n';
+  }
+  return out;
+}
+
+function emitAbstract(type, info) {
+  var out = jsdoc(docLines(info).concat(['', 'Opaque: only the functions of this package can read it.']), '');
+  return out + 'export interface ' + type.name + ' {\n  readonly [opaque]: "' + type.name + '";\n}\n';
+}
+
+function emitFunction(fn, info, ctx) {
+  ctx.self = 'never';
+  var params = fn.params.map(function(p, i) {
+    return (p.name || 'arg' + i) + ': ' + tsType(p.type, ctx);
+  });
+  return jsdoc(docLines(info), '') +
+    'export function ' + fn.name + '(' + params.join(', ') + '): ' +
+    tsType(fn.returnType, ctx) + ';\n';
+}
+
+/**
+ * Generate the declarations
+ * @returns {string} Contents of types/model.d.ts
+ */
+function generate() {
+  var packages = PACKAGES.map(function(pkgDir) {
+    return {
+      dir: pkgDir,
+      api: parseMbti(fs.readFileSync(findMbti(pkgDir), 'utf8')),
+      docstrings: packageDocstrings(pkgDir)
+    };
+  });
+
+  // Type names are flattened into one module, so they must be unique
+  var known = {};
+  packages.forEach(function(pkg) {
+    pkg.api.structs.concat(pkg.api.enums, pkg.api.types).forEach(function(type) {
+      if (known[type.name]) {
+        throw new Error('Type ' + type.name + ' is declared in both ' +
+          known[type.name] + ' and ' + pkg.api.package);
+      }
+      known[type.name] = pkg.api.package;
+    });
+  });
+
+  var warnings = [];
+  var ctx = {
+    known: known,
+    self: 'never',
+    warn: function(message) {
+      if (warnings.indexOf(message) < 0) {
+        warnings.push(message);
+      }
+    }
+  };
+
+  var sections = [];
+
+  packages.forEach(function(pkg) {
+    sections.push('// ' + pkg.api.package + '\n');
+    var types = pkg.api.structs.map(function(s) {
+      return { name: s.name, emit: function() { return emitStruct(s, pkg.docstrings[s.name], ctx); } };
+    }).concat(pkg.api.enums.map(function(e) {
+      return { name: e.name, emit: function() { return emitEnum(e, pkg.docstrings[e.name], ctx); } };
+    }), pkg.api.types.map(function(t) {
+      return { name: t.name, emit: function() { return emitAbstract(t, pkg.docstrings[t.name]); } };
+    }));
+    types.sort(function(a, b) {
+      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+    });
+    types.forEach(function(type) {
+      sections.push(type.emit());
+    });
+  });
+
+  // Functions re-exported without a wrapper (root package only)
+  var root = packages[packages.length - 1];
+  var reExports = plainReExports();
+  var functions = root.api.functions.filter(function(fn) {
+    return reExports.indexOf(fn.name) >= 0;
+  });
+  reExports.forEach(function(name) {
+    var found = functions.some(function(fn) {
+      return fn.name === name;
+    });
+    if (!found) {
+      throw new Error('js/index.js re-exports ' + name + ', which is not in ' + root.api.package);
+    }
+  });
+  if (functions.length > 0) {
+    sections.push('// Functions exported as is by js/index.js\n');
+    functions.forEach(function(fn) {
+      sections.push(emitFunction(fn, root.docstrings[fn.name], ctx));
+    });
+  }
+
+  // Opaque types are branded with a symbol only this module can name
+  var hasAbstract = packages.some(function(pkg) {
+    return pkg.api.types.length > 0;
+  });
+  var prelude = [HEADER];
+  if (hasAbstract || ctx.usesMap) {
+    prelude.push('declare const opaque: unique symbol;\n');
+  }
+  if (ctx.usesMap) {
+    prelude.push(MAP_DECLARATION);
+  }
+
+  warnings.forEach(function(message) {
+    console.warn('Warning: ' + message);
+  });
+  return prelude.concat(sections).join('\n');
+}
+
+/**
+ * CLI entry point
+ */
+function main() {
+  var args = process.argv.slice(2);
+  if (args.indexOf('-h') >= 0 || args.indexOf('--help') >= 0) {
+    console.log('\nUsage: generate-types.js [--check]\n');
+    console.log('Generates types/model.d.ts from the .mbti files written by "moon info".');
+    console.log('  --check    Fail if types/model.d.ts is out of date instead of writing it\n');
+    process.exit(0);
+  }
+
+  try {
+    var output = generate();
+    var relative = path.relative(rootDir, OUTPUT);
+    if (args.indexOf('--check') >= 0) {
+      var current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+      if (current !== output) {
+        console.error(relative + ' is out of date. Run "pnpm run build:types".');
+        process.exit(1);
+      }
+      console.log(relative + ' is up to date');
+    } else {
+      fs.writeFileSync(OUTPUT, output);
+      console.log('Generated ' + relative);
+    }
+  } catch (e) {
+    console.error('Error: ' + e.message);
+    process.exit(1);
+  }
+}
+
+main();
+
+export { generate };
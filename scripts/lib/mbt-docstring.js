@@ -42,7 +42,8 @@ export function extractDocstrings(content) {
       // Look for definitions after docstrings
       if (docLines.length > 0) {
         // pub fn name(...)
-        var fnMatch = trimmed.match(/^pub\s+fn\s+(\w+)/);
+        // Methods are keyed as Type::method
+        var fnMatch = trimmed.match(/^pub\s+fn\s*(?:\[[^\]]*\]\s*)?(\w+(?:::\w+)?)/);
         if (fnMatch) {
           targetName = fnMatch[1];
           targetType = 'function';
@@ -103,7 +104,8 @@ export function extractDocstrings(content) {
  * @param {Array} fieldComments - Array to populate
  */
 function extractFieldComments(lines, fieldComments) {
-  for (var i = 0; i < lines.length; i++) {
+  var pending = [];
+  for (var i = 1; i < lines.length; i++) {
     var trimmed = lines[i].trim();
 
     // Stop at closing brace or end of struct
@@ -111,32 +113,27 @@ function extractFieldComments(lines, fieldComments) {
       break;
     }
 
-    // Field comment: /// comment
+    // Field comment: /// comment (applies to the next field)
     if (trimmed.indexOf('///') === 0) {
-      var comment = trimmed.replace(/^\/\/\/\s*/, '');
-      // Peek at next non-comment line to get field name
+      pending.push(trimmed.replace(/^\/\/\/\s*/, ''));
       continue;
     }
 
-    // Field definition: name : Type
-    var fieldMatch = trimmed.match(/^(\w+)\s*:/);
-    if (fieldMatch && fieldComments.length > 0) {
-      // Associate with previous comment if exists
-      var fieldName = fieldMatch[1];
-      var lastComment = fieldComments[fieldComments.length - 1];
-      if (lastComment && !lastComment.field) {
-        lastComment.field = fieldName;
+    // Field definition: [mut] name : Type [// comment]
+    var fieldMatch = trimmed.match(/^(?:mut\s+)?(\w+)\s*:[^/]*(?:\/\/\s*(.+))?$/);
+    if (fieldMatch) {
+      var comments = pending.slice();
+      if (fieldMatch[2]) {
+        comments.push(fieldMatch[2]);
+      }
+      if (comments.length > 0) {
+        fieldComments.push({
+          field: fieldMatch[1],
+          comment: comments.join(' ')
+        });
       }
     }
-
-    // Check for inline comment
-    var inlineMatch = trimmed.match(/^(\w+)\s*:\s+\w+\s*\/\/\s*(.+)$/);
-    if (inlineMatch) {
-      fieldComments.push({
-        field: inlineMatch[1],
-        comment: inlineMatch[2]
-      });
-    }
+    pending = [];
   }
 }
 
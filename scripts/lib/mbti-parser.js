@@ -16,13 +16,15 @@ export function parseMbti(content) {
     structs: [],
     enums: [],
     typeAliases: [],
-    traits: []
+    traits: [],
+    types: []
   };
 
   var lines = content.split('\n');
   var currentSection = null;
   var currentStruct = null;
   var currentEnum = null;
+  var typeHead = /^(?:pub(?:\(\w+\))?\s+)?/;
 
   for (var i = 0; i < lines.length; i++) {
     var line = lines[i].trim();
@@ -84,17 +86,19 @@ export function parseMbti(content) {
     }
 
     // Function definitions
-    var fnMatch = line.match(/^(?:pub\s+)?fn\s+(?:([\w:]+)\s*::\s*)?(\w+)\s*\(([^)]*)\)\s*(?:->\s*(.+))?/);
+    var fnMatch = parseFunctionSignature(line);
     if (fnMatch) {
-      var typeName = fnMatch[1];
-      var fnName = fnMatch[2];
-      var params = fnMatch[3];
-      var returnType = fnMatch[4];
+      var typeName = fnMatch.typeName;
+      var fnName = fnMatch.name;
+      var params = fnMatch.params;
+      var returnType = fnMatch.returnType;
 
       if (typeName) {
         // Method: fn TypeName::method(...)
-        if (currentStruct) {
-          currentStruct.methods.push({
+        var owner = findTypeDefinition(result, typeName) || currentStruct;
+        if (owner) {
+          owner.methods = owner.methods || [];
+          owner.methods.push({
             name: fnName,
             fullName: typeName + '::' + fnName,
             params: parseParams(params),
@@ -113,7 +117,7 @@ export function parseMbti(content) {
     }
 
     // Struct definitions: pub struct Name {
-    var structStartMatch = line.match(/^(?:pub\(all\)\s+)?pub\s+struct\s+(\w+)\s*\{?$/);
+    var structStartMatch = line.match(new RegExp(typeHead.source + 'struct\\s+(\\w+)(?:\\[[^\\]]*\\])?\\s*\\{?$'));
     if (structStartMatch) {
       var name = structStartMatch[1];
       // Collect multi-line struct definition
@@ -165,7 +169,7 @@ export function parseMbti(content) {
     }
 
     // Enum definitions: pub enum Name {
-    var enumStartMatch = line.match(/^(?:pub\(all\)\s+)?pub\s+enum\s+(\w+)\s*\{?$/);
+    var enumStartMatch = line.match(new RegExp(typeHead.source + 'enum\\s+(\\w+)(?:\\[[^\\]]*\\])?\\s*\\{?$'));
     if (enumStartMatch) {
       var enumName = enumStartMatch[1];
       // Collect multi-line enum definition
@@ -206,7 +210,8 @@ export function parseMbti(content) {
 
       currentEnum = {
         name: enumName,
-        variants: parseEnumVariants(variantsStr)
+        variants: parseEnumVariants(variantsStr),
+        methods: []
       };
       result.enums.push(currentEnum);
       continue;
@@ -222,11 +227,10 @@ export function parseMbti(content) {
       continue;
     }
 
-    // Type declarations (without pub(all))
-    var typeMatch = line.match(/^type\s+(\w)/);
-    if (typeMatch && currentSection === 'errors') {
-      result.types = result.types || [];
-      result.types.push({ name: typeMatch[1] });
+    // Abstract type declarations: type Name (fields are not visible)
+    var typeMatch = line.match(new RegExp(typeHead.source + 'type\\s+(\\w+)'));
+    if (typeMatch) {
+      result.types.push({ name: typeMatch[1], methods: [] });
       continue;
     }
 
@@ -251,6 +255,73 @@ export function parseMbti(content) {
   return result;
 }
 
+/**
+ * Split a string on a separator outside of (), [] and {}
+ * @param {string} str - String to split
+ * @param {string} sep - Single-character separator
+ * @returns {string[]} Trimmed parts
+ */
+export function splitTopLevel(str, sep) {
+  var parts = [];
+  var depth = 0;
+  var start = 0;
+  for (var i = 0; i < str.length; i++) {
+    var c = str[i];
+    if (c === '(' || c === '[' || c === '{') depth++;
+    if (c === ')' || c === ']' || c === '}') depth--;
+    if (c === sep && depth === 0) {
+      parts.push(str.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(str.slice(start).trim());
+  return parts.filter(function(p) { return p !== ''; });
+}
+
+/**
+ * Parse a function signature line
+ * `pub fn[T] Type::name(params) -> Return raise Error`
+ * @param {string} line - Trimmed line
+ * @returns {object|null} { typeName, name, params, returnType } or null
+ */
+function parseFunctionSignature(line) {
+  var head = line.match(/^(?:pub\s+)?fn\s*(?:\[[^\]]*\]\s*)?(?:([\w:]+)\s*::\s*)?(\w+)\s*(?:\[[^\]]*\]\s*)?\(/);
+  if (!head) {
+    return null;
+  }
+  // Find the parenthesis closing the parameter list
+  var depth = 1;
+  var i = head[0].length;
+  while (i < line.length && depth > 0) {
+    if (line[i] === '(') depth++;
+    if (line[i] === ')') depth--;
+    i++;
+  }
+  var returnMatch = line.slice(i).match(/^\s*->\s*(.+)$/);
+  return {
+    typeName: head[1],
+    name: head[2],
+    params: line.slice(head[0].length, i - 1),
+    returnType: returnMatch ? returnMatch[1].trim() : null
+  };
+}
+
+/**
+ * Find a struct, enum or abstract type parsed so far
+ * @param {object} result - Parse result
+ * @param {string} name - Type name
+ * @returns {object|null} Type definition
+ */
+function findTypeDefinition(result, name) {
+  var all = result.structs.concat(result.enums, result.types);
+  for (var i = 0; i < all.length; i++) {
+    if (all[i].name === name) {
+      return all[i];
+    }
+  }
+  return null;
+}
+
 /**
  * Parse function parameters
  * @param {string} paramsStr - Parameter string
@@ -262,11 +333,14 @@ function parseParams(paramsStr) {
   }
 
   var params = [];
-  var parts = paramsStr.split(',').map(function(p) { return p.trim(); });
+  var parts = splitTopLevel(paramsStr, ',');
 
   for (var i = 0; i < parts.length; i++) {
     var part = parts[i];
-    if (!part) continue;
+
+    // Default value: name~ : Type = ..
+    var optional = /\s=\s*\.\.$/.test(part);
+    part = part.replace(/\s=\s*\.\.$/, '');
 
     // Named parameter: name : Type
     var namedMatch = part.match(/^(\w+)\s*:\s*(.+)$/);
@@ -274,18 +348,20 @@ function parseParams(paramsStr) {
       params.push({
         name: namedMatch[1],
         type: namedMatch[2],
-        labeled: false
+        labeled: false,
+        optional: false
       });
       continue;
     }
 
-    // Labeled parameter: name~ : Type
-    var labeledMatch = part.match(/^(\w+)~\s*:\s*(.+)$/);
+    // Labeled parameter: name~ : Type, or optional name? : Type
+    var labeledMatch = part.match(/^(\w+)([~?])\s*:\s*(.+)$/);
     if (labeledMatch) {
       params.push({
         name: labeledMatch[1],
-        type: labeledMatch[2],
-        labeled: true
+        type: labeledMatch[3],
+        labeled: true,
+        optional: optional || labeledMatch[2] === '?'
       });
       continue;
     }
@@ -294,7 +370,8 @@ function parseParams(paramsStr) {
     params.push({
       name: null,
       type: part,
-      labeled: false
+      labeled: false,
+      optional: false
     });
   }
 
@@ -316,20 +393,21 @@ function parseFields(fieldsStr) {
 
   for (var i = 0; i < lines.length; i++) {
     var line = lines[i].trim();
-    if (!line || line === '{' || line === '}' || line.indexOf('//') === 0) continue;
+    if (!line || line === '{' || line.indexOf('}') === 0 || line.indexOf('//') === 0) continue;
 
-    // Remove trailing braces or commas
-    line = line.replace(/[\},].*$/, '');
+    // Remove a closing brace or trailing comma
+    line = line.replace(/\s*\}\s*$/, '').replace(/,\s*$/, '');
 
     // Skip empty lines after cleanup
     if (!line || line === '...') continue;
 
-    // Field: name : Type
-    var fieldMatch = line.match(/^(\w+)\s*:\s+(.+)$/);
+    // Field: [mut] name : Type
+    var fieldMatch = line.match(/^(mut\s+)?(\w+)\s*:\s+(.+)$/);
     if (fieldMatch) {
       fields.push({
-        name: fieldMatch[1],
-        type: fieldMatch[2].trim()
+        name: fieldMatch[2],
+        type: fieldMatch[3].trim(),
+        mutable: Boolean(fieldMatch[1])
       });
     }
   }
@@ -352,20 +430,21 @@ function parseEnumVariants(variantsStr) {
 
   for (var i = 0; i < lines.length; i++) {
     var line = lines[i].trim();
-    if (!line || line === '{' || line === '}' || line.indexOf('//') === 0) continue;
+    if (!line || line === '{' || line.indexOf('}') === 0 || line.indexOf('//') === 0) continue;
 
-    // Remove trailing braces or commas
-    line = line.replace(/[\},].*$/, '');
+    // Remove a closing brace or trailing comma
+    line = line.replace(/\s*\}\s*$/, '').replace(/,\s*$/, '');
 
     // Skip empty lines after cleanup
     if (!line) continue;
 
-    // Variant with type: Name(Type)
+    // Variant with payload: Name(Type, ...)
     var typedMatch = line.match(/^(\w+)\s*\((.+)\)$/);
     if (typedMatch) {
       variants.push({
         name: typedMatch[1],
-        type: typedMatch[2]
+        type: typedMatch[2],
+        types: splitTopLevel(typedMatch[2], ',')
       });
       continue;
     }
@@ -374,7 +453,8 @@ function parseEnumVariants(variantsStr) {
     if (line.match(/^\w+$/)) {
       variants.push({
         name: line,
-        type: null
+        type: null,
+        types: []
       });
     }
   }
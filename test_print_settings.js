@@ -1,18 +1,23 @@
 // Test script to verify print settings parsing
-const path = require('path');
-const fs = require('fs');
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
 
-// Load the compiled jww_parser module
-const modulePath = path.join(__dirname, 'target/js/release/build/jww_parser.js');
+// Load the JavaScript entry (requires the MoonBit build output)
+import { try_parse } from './js/index.js';
 
 // Read the JWW file
-const jwwFilePath = path.join(__dirname, '../jwwfile/木造平面例.jww');
-const buffer = fs.readFileSync(jwwFilePath);
-const data = Array.from(buffer);
+const jwwFilePath = fileURLToPath(
+  new URL('../jwwfile/木造平面例.jww', import.meta.url),
+);
+const data = new Uint8Array(readFileSync(jwwFilePath));
 
-// Import and parse
-const { parse } = require(modulePath);
-const result = parse(data);
+// Parse
+const parsed = try_parse(data);
+if (!parsed.ok) {
+  console.error('Parse failed:', parsed.error.code, parsed.error.message);
+  process.exit(1);
+}
+const result = parsed.document;
 
 // Print the results
 console.log('=== 印刷設定のパース結果 ===');
@@ -1,340 +1,798 @@
 /**
  * JWW Parser - TypeScript Type Definitions
  * @see https://github.com/horideicom/jww_parser.mbt
+ *
+ * The runtime shapes of MoonBit values (`Document`, `Entity`, ...) are
+ * generated from the .mbti interfaces into `./model.d.ts`. This file declares
+ * the JavaScript layer added by js/index.js; where a name exists in both
+ * (`ParseMode`, `ParseProgress`, `UnmappablePolicy`, `SvgOptions`,
+ * `ImageFile`, `LayerBucket`, `TextContext`, `TextRun`, `DecodedText`,
+ * `TextLayout`), the JavaScript shape declared here is the exported one.
  */
 
+import type {
+  BlockDef,
+  Bounds,
+  CharLayout,
+  Diagnostic,
+  Document,
+  EmbeddedImage,
+  Entity,
+  EntityVariants,
+  ExplodeResult,
+  Extents,
+  Image,
+  ImageFormatName,
+  Palette,
+  PaperDimensions,
+  ResolvedStyle,
+  SpatialHit,
+  SpatialIndex,
+  Text,
+  Vec2,
+} from "./model";
+
+export * from "./model";
+
 /**
- * Base attributes common to all entities
+ * Entity as serialized by `to_json_string`: the variant name and its payload
  */
-export interface EntityBase {
-  /** Curve group number (line style group) */
-  group: number;
-  /** Line style number */
-  pen_style: number;
-  /** Line color number (1-9 are basic colors, extended values are SXF colors) */
-  pen_color: number;
-  /** Line width (available in Ver.3.51+) */
-  pen_width: number;
-  /** Layer number (0-15) */
-  layer: number;
-  /** Layer group number (0-15) */
-  layer_group: number;
-  /** Various attribute flags */
-  flag: number;
+export type EntityJson = {
+  [K in keyof EntityVariants]: { type: K; value: EntityVariants[K] };
+}[keyof EntityVariants];
+
+/**
+ * Embedded image as serialized by `to_json_string`
+ */
+export interface EmbeddedImageJson extends Omit<EmbeddedImage, "data" | "format"> {
+  /** Raw image binary data encoded as base64 */
+  data: string;
+  /** Image format name */
+  format: ImageFormatName;
 }
 
 /**
- * Line entity (JWW class: CDataSen)
+ * Block definition as serialized by `to_json_string`
  */
-export interface Line {
-  base: EntityBase;
-  start_x: number;
-  start_y: number;
-  end_x: number;
-  end_y: number;
+export interface BlockDefJson extends Omit<BlockDef, "entities"> {
+  entities: EntityJson[];
 }
 
 /**
- * Arc/Circle entity (JWW class: CDataEnko)
- */
-export interface Arc {
-  base: EntityBase;
-  center_x: number;
-  center_y: number;
-  radius: number;
-  /** Start angle in radians */
-  start_angle: number;
-  /** Arc angle in radians */
-  arc_angle: number;
-  /** Tilt angle in radians (for ellipses) */
-  tilt_angle: number;
-  /** 1.0 is a true circle, otherwise an ellipse */
-  flatness: number;
-  is_full_circle: boolean;
+ * Document as serialized by `to_json_string`
+ */
+export type DocumentJson = Omit<
+  Document,
+  "entities" | "block_defs" | "embedded_images" | "header_extra"
+> & {
+  entities: EntityJson[];
+  block_defs: BlockDefJson[];
+  embedded_images: EmbeddedImageJson[];
+  /** Base64-encoded `header_extra` */
+  header_extra: string;
+};
+
+/**
+ * Error codes of `JwwParseError`
+ */
+export type JwwParseErrorCode =
+  | "INVALID_SIGNATURE"
+  | "UNSUPPORTED_VERSION"
+  | "UNKNOWN_CLASS_PID"
+  | "UNKNOWN_ENTITY_CLASS"
+  | "UNEXPECTED_EOF"
+  | "IO_ERROR"
+  | "OTHER"
+  | "CANCELLED";
+
+/**
+ * Error thrown when JWW binary data cannot be parsed
+ */
+export class JwwParseError extends Error {
+  readonly name: "JwwParseError";
+  /** Kind of the failure */
+  readonly code: JwwParseErrorCode;
+  /** Byte offset from the start of the file where the failure was detected */
+  readonly offset: number;
+  constructor(code: JwwParseErrorCode, offset: number, message: string);
 }
 
 /**
- * Point entity (JWW class: CDataTen)
+ * Parse mode
+ * - `"strict"`: throw a `JwwParseError` on the first anomaly (default)
+ * - `"lenient"`: record anomalies as diagnostics and return what could be read
+ */
+export type ParseMode = "strict" | "lenient";
+
+/**
+ * Parse progress
  */
-export interface Point {
-  base: EntityBase;
-  x: number;
-  y: number;
-  is_temporary: boolean;
-  code: number;
-  angle: number;
-  scale: number;
+export interface ParseProgress {
+  /** Phase that has just started (the last event of a parse repeats `"images"`) */
+  phase: "header" | "entities" | "block_defs" | "images";
+  /** Bytes of the input read so far */
+  bytesRead: number;
+  /** Size of the input in bytes */
+  totalBytes: number;
+  /** Entities parsed so far, including those in block definitions */
+  entitiesParsed: number;
 }
 
 /**
- * Text entity (JWW class: CDataMoji)
- */
-export interface Text {
-  base: EntityBase;
-  start_x: number;
-  start_y: number;
-  end_x: number;
-  end_y: number;
-  /** +10000 for italic, +20000 for bold */
-  text_type: number;
-  size_x: number;
-  size_y: number;
-  /** Character spacing */
-  spacing: number;
-  /** Rotation angle in degrees */
-  angle: number;
-  font_name: string;
-  content: string;
+ * Options for `parse` / `try_parse`
+ */
+export interface ParseOptions {
+  /** Parse mode (default: `"strict"`) */
+  mode?: ParseMode;
+  /**
+   * Called when each phase starts, every 1000 entities and once at the end
+   */
+  onProgress?: (progress: ParseProgress) => void;
+  /**
+   * Cancels the parse with a `JwwParseError` whose code is `"CANCELLED"`.
+   * Parsing is synchronous, so it is checked only when progress is
+   * reported: abort it before calling or from `onProgress`.
+   */
+  signal?: AbortSignal;
+  /**
+   * Called whenever progress is reported; returning true cancels the parse
+   * like `signal`
+   */
+  shouldCancel?: () => boolean;
 }
 
 /**
- * Solid/Fill entity (JWW class: CDataSolid)
- */
-export interface Solid {
-  base: EntityBase;
-  point1_x: number;
-  point1_y: number;
-  point2_x: number;
-  point2_y: number;
-  point3_x: number;
-  point3_y: number;
-  point4_x: number;
-  point4_y: number;
-  /** Used when pen_color == 10 */
-  color: number;
+ * Document returned by lenient parsing, with the recorded anomalies
+ */
+export interface LenientParseResult {
+  document: Document;
+  diagnostics: Diagnostic[];
 }
 
 /**
- * Arc/Circle solid entity (CDataSolid with pen_style >= 101)
- */
-export interface ArcSolid {
-  base: EntityBase;
-  /** Center X */
-  center_x: number;
-  /** Center Y */
-  center_y: number;
-  /** Outer radius */
-  radius: number;
-  /** 1.0 is a true circle, otherwise an ellipse */
-  flatness: number;
-  /** Tilt angle in radians */
-  tilt_angle: number;
-  /** Start angle in radians */
-  start_angle: number;
-  /** Arc angle in radians */
-  arc_angle: number;
-  /** Meaning depends on pen_style (type flag or inner radius) */
-  solid_param: number;
-  /** Used when pen_color == 10 */
-  color: number;
+ * Result of `try_parse`
+ */
+export type ParseResult =
+  | { ok: true; document: Document; diagnostics: Diagnostic[] }
+  | { ok: false; error: JwwParseError };
+
+/**
+ * Parse JWW binary data into a Document object
+ * @param data - Binary data as Uint8Array
+ * @param options - Parse options (strict mode by default)
+ * @returns Parsed JWW document
+ * @throws JwwParseError if the data is not a valid JWW file
+ *   (bad signature, unsupported version, truncated data, unknown classes)
+ */
+export function parse(
+  data: Uint8Array,
+  options?: ParseOptions & { mode?: "strict" },
+): Document;
+
+/**
+ * Parse JWW binary data in lenient mode
+ *
+ * Skipped or truncated data is reported in `diagnostics` instead of throwing.
+ * A bad signature, an unsupported version or a truncated header still throws.
+ * @param data - Binary data as Uint8Array
+ * @param options - `{ mode: "lenient" }`
+ * @returns Parsed document and diagnostics
+ * @throws JwwParseError if the header cannot be read
+ */
+export function parse(
+  data: Uint8Array,
+  options: ParseOptions & { mode: "lenient" },
+): LenientParseResult;
+
+/**
+ * Parse JWW binary data without throwing
+ * @param data - Binary data as Uint8Array
+ * @param options - Parse options (strict mode by default)
+ * @returns `{ ok: true, document, diagnostics }` on success, `{ ok: false, error }` otherwise
+ */
+export function try_parse(data: Uint8Array, options?: ParseOptions): ParseResult;
+
+/**
+ * Read the entity list of JWW binary data one entity at a time
+ *
+ * The input buffer is not copied and no Document is built, so large
+ * drawings can be rendered or indexed incrementally. Block definitions and
+ * embedded images are not read; block inserts are yielded as `Block` entities.
+ * @param data - Binary data as Uint8Array
+ * @param options - Parse options (strict mode by default)
+ * @returns Generator of entities; its return value is the recorded diagnostics
+ * @throws JwwParseError if the header cannot be read, or on the first
+ *   anomaly in strict mode
+ */
+export function iterate_entities(
+  data: Uint8Array,
+  options?: ParseOptions,
+): Generator<Entity, Diagnostic[], undefined>;
+
+/**
+ * Error thrown when a string has a character without a Shift_JIS (CP932) code
+ * and the unmappable policy is `"throw"`
+ */
+export class SjisEncodeError extends Error {
+  readonly name: "SjisEncodeError";
+  /** The character that could not be encoded */
+  readonly character: string;
+  /** Position of the character in the string (in code points) */
+  readonly index: number;
+  constructor(character: string, index: number, message: string);
 }
 
 /**
- * Block insertion entity (JWW class: CDataBlock)
- */
-export interface Block {
-  base: EntityBase;
-  /** Insertion reference point X */
-  ref_x: number;
-  /** Insertion reference point Y */
-  ref_y: number;
-  scale_x: number;
-  scale_y: number;
-  /** Rotation in radians */
-  rotation: number;
-  /** Reference block definition number */
-  def_number: number;
+ * How to handle characters that have no Shift_JIS (CP932) code
+ * - `"throw"`: throw a `SjisEncodeError` (default)
+ * - `"replace"`: replace them with `?`
+ * - `"diagnostic"`: replace them with `?` and report each one as a diagnostic
+ */
+export type UnmappablePolicy = "throw" | "replace" | "diagnostic";
+
+/**
+ * Options for `to_jww_bytes` / `encode_shift_jis`
+ */
+export interface EncodeOptions {
+  /** Unmappable character policy (default: `"throw"`) */
+  unmappable?: UnmappablePolicy;
 }
 
 /**
- * Image entity (converted from CDataMoji ^@BM format)
+ * Result of encoding with `unmappable: "diagnostic"`
  */
-export interface Image {
-  base: EntityBase;
-  image_path: string;
-  x: number;
-  y: number;
-  width: number;
-  height: number;
-  /** Rotation angle in degrees */
-  rotation: number;
+export interface DiagnosticEncodeResult {
+  bytes: Uint8Array;
+  /** One warning per replaced character */
+  diagnostics: Diagnostic[];
+}
+
+/**
+ * Serialize a JWW Document to .jww file bytes
+ *
+ * Strings are written as Shift_JIS (CP932). `parse(to_jww_bytes(doc))` yields
+ * a document equal to `doc`. Diagnostic offsets point at the string in the output.
+ * @param doc - JWW document object
+ * @param options - Encode options
+ * @returns .jww binary data
+ * @throws SjisEncodeError if a string cannot be encoded and the policy is `"throw"`
+ */
+export function to_jww_bytes(
+  doc: Document,
+  options?: { unmappable?: "throw" | "replace" },
+): Uint8Array;
+export function to_jww_bytes(
+  doc: Document,
+  options: { unmappable: "diagnostic" },
+): DiagnosticEncodeResult;
+
+/**
+ * Encode a string as Shift_JIS (CP932, including NEC/IBM extensions)
+ *
+ * Diagnostic offsets are byte positions in the encoded output.
+ * @param text - String to encode
+ * @param options - Encode options
+ * @returns Encoded bytes
+ * @throws SjisEncodeError if the string cannot be encoded and the policy is `"throw"`
+ */
+export function encode_shift_jis(
+  text: string,
+  options?: { unmappable?: "throw" | "replace" },
+): Uint8Array;
+export function encode_shift_jis(
+  text: string,
+  options: { unmappable: "diagnostic" },
+): DiagnosticEncodeResult;
+
+/**
+ * Error thrown by `from_json` when the JSON is not a valid Document
+ */
+export class JsonDecodeError extends Error {
+  readonly name: "JsonDecodeError";
+  /**
+   * JSON path of the invalid field (e.g. `"$.entities[3].value.start_x"`),
+   * or `""` when the string is not valid JSON
+   */
+  readonly path: string;
+  constructor(path: string, message: string);
+}
+
+/**
+ * Convert a JSON string produced by `to_json_string` back to a Document
+ * @param json - JSON string
+ * @returns Document
+ * @throws JsonDecodeError if the string is not valid JSON or a field is invalid
+ */
+export function from_json(json: string): Document;
+
+/**
+ * Convert JWW binary data directly to a DXF string
+ * @param data - Binary data as Uint8Array
+ * @returns DXF (R2000) string
+ * @throws JwwParseError if the data is not a valid JWW file
+ */
+export function jww_to_dxf(data: Uint8Array): string;
+
+/**
+ * Options for `to_svg`
+ */
+export interface SvgOptions {
+  /** `width` attribute of the svg element (omitted when 0 or unset) */
+  width?: number;
+  /** `height` attribute of the svg element (omitted when 0 or unset) */
+  height?: number;
+  /** Margin around the drawing as a ratio of its longer side (default: 0.02) */
+  padding?: number;
+  /**
+   * Background color (default: `"#000000"`, matching the screen colors of
+   * the standard pen colors). An empty string gives a transparent background.
+   */
+  background?: string;
+  /** Color for pen colors other than the standard 1-9 (default: `"#ffffff"`) */
+  defaultColor?: string;
+  /** Printed width in mm of lines whose `pen_width` is 0 (default: 0.18) */
+  lineWidth?: number;
+  /** Omit layer groups and layers whose `state` is 0 (default: false) */
+  hideHiddenLayers?: boolean;
 }
 
 /**
- * Entity discriminated union
- * Use `type` property to discriminate between entity types
- */
-export type Entity =
-  | { type: "Line" | "CIRCLE" | "ARC"; value: Line & { __arcBrand?: never } }
-  | { type: "Arc"; value: Arc }
-  | { type: "Point"; value: Point }
-  | { type: "Text"; value: Text }
-  | { type: "Solid"; value: Solid }
-  | { type: "ArcSolid"; value: ArcSolid }
-  | { type: "Block"; value: Block }
-  | { type: "Image"; value: Image };
-
-/**
- * Image format type (detected from magic bytes)
- */
-export enum ImageFormat {
-  /** Undetected or unknown */
-  Unknown = "Unknown",
-  /** JPEG format (FF D8 FF) */
-  Jpeg = "Jpeg",
-  /** PNG format (89 50 4E 47) */
-  Png = "Png",
-  /** BMP format (42 4D) */
-  Bmp = "Bmp",
-  /** GIF format (47 49 46 38) */
-  Gif = "Gif"
+ * Render a JWW Document as an SVG string
+ *
+ * Each layer group and layer becomes a `<g>` element (`id="jww-g{group}"` /
+ * `id="jww-l{group}-{layer}"`) carrying its name in `data-name`. Block inserts
+ * are expanded, and line widths and dash patterns are scaled by the layer
+ * group scale so they match the printed size.
+ * @param doc - JWW document object
+ * @param options - Rendering options
+ * @returns SVG document string
+ */
+export function to_svg(doc: Document, options?: SvgOptions): string;
+
+/**
+ * Expand block inserts into entities in world coordinates
+ *
+ * Coordinates, angles and sizes are transformed by the insert's scale,
+ * rotation and reference point. Arcs under a non-uniform scale become
+ * elliptical arcs. Inserts beyond `depth` are returned as transformed `Block`s.
+ * @param doc - JWW document object
+ * @param options - `depth`: nesting levels to expand (unlimited by default)
+ * @returns Exploded entities and any recursive or missing block definitions
+ */
+export function explode_blocks(
+  doc: Document,
+  options?: { depth?: number },
+): ExplodeResult;
+
+/**
+ * Options for `get_extents`
+ */
+export interface ExtentsOptions {
+  /** Skip entities on layer groups or layers whose `state` is 0 (default: false) */
+  visibleOnly?: boolean;
+  /** Include the expanded contents of block inserts; when false, inserts are skipped (default: true) */
+  includeBlocks?: boolean;
 }
 
 /**
- * Embedded image data (Ver.7.00+)
+ * Compute the extents of a drawing, overall and per layer group
+ *
+ * Arcs are bounded by their actual sweep, text by its rotated box and
+ * block inserts by their transformed contents. Entities inside blocks are
+ * counted on the layer of the top-level insert.
+ * @param doc - JWW document object
+ * @param options - Extents options
+ * @returns Overall and per-layer-group extents
+ */
+export function get_extents(doc: Document, options?: ExtentsOptions): Extents;
+
+/**
+ * Compute the bounds of one entity in drawing coordinates
+ *
+ * Without `doc`, a block insert is bounded by its insertion point only.
+ * @param entity - Entity
+ * @param doc - Document whose block definitions a block insert refers to
+ * @returns Bounds, or undefined if the entity has no extent
  */
-export interface EmbeddedImage {
-  /** Image index (0-based) */
+export function entity_bounds(entity: Entity, doc?: Document): Bounds | undefined;
+
+/**
+ * Embedded image extracted as a file
+ */
+export interface ImageFile {
+  /** Index of the embedded image */
   index: number;
-  /** File size in bytes */
-  file_size: number;
-  /** Raw image binary data */
+  /** MIME type (`"application/octet-stream"` when unknown) */
+  mime: string;
+  /** File extension without the dot (`"bin"` when unknown) */
+  extension: string;
+  /**
+   * File name of the referencing Image entity with the extension matched to
+   * the detected format (`image-<index>.<ext>` when nothing references it)
+   */
+  suggestedFileName: string;
+  /** Raw image data */
   data: Uint8Array;
-  /** Image format detected from magic bytes */
-  format: ImageFormat;
+  /** Wrap the data in a Blob of type `mime` */
+  toBlob(): Blob;
 }
 
 /**
- * Print settings
+ * Extract every embedded image. Embedded images are matched to Image
+ * entities by the order in which their `%temp%` paths first appear.
+ * Duplicate file names get the image index appended.
+ * @param doc - JWW document object
+ * @returns One entry per embedded image
+ */
+export function image_files(doc: Document): ImageFile[];
+
+/**
+ * Resolve an Image entity to the embedded image it references.
+ * @param doc - JWW document object
+ * @param image - Image entity value
+ * @returns The embedded image, or undefined for external or missing images
+ */
+export function resolve_image(doc: Document, image: Image): ImageFile | undefined;
+
+/**
+ * Options for `filter_entities`. Unset or empty conditions do not filter;
+ * an entity is kept when it meets every condition.
  */
-export interface PrintSettings {
-  /** Print output origin X */
-  origin_x: number;
-  /** Print output origin Y */
-  origin_y: number;
-  /** Print output scale */
-  scale: number;
-  /** Print 90-degree rotation / reference point position
-   * 0: origin, 1: bottom-left, 2: bottom-right, 3: top-left, 4: top-right,
-   * 5: center, 6: left, 7: top, 8: right, 9: bottom */
-  rotation_setting: number;
+export interface FilterOptions {
+  /** Layer group numbers (0-15) */
+  layerGroups?: number[];
+  /** Layer numbers (0-15) in any layer group */
+  layers?: number[];
+  /** Layer names */
+  layerNames?: string[];
+  /**
+   * Effective layer states (0: hidden, 1: display only, 2: editable,
+   * 3: write layer). A layer group in state 0 or 1 caps the state of its
+   * layers, so every layer of a hidden group is hidden.
+   */
+  states?: number[];
+  /** Entity type names as in `summarize` (`"LINE"`, `"CIRCLE"`, `"ARC"`, ...) */
+  types?: string[];
+  /** Pen color numbers */
+  penColors?: number[];
+  /** Keep entities whose bounds overlap this area (block inserts by their reference point) */
+  bbox?: Bounds;
 }
 
 /**
- * Sunpou (dimension) settings
- */
-export interface SunpouSettings {
-  /** m_lnSunpou1: character type, dimension decimal point, unit, etc. */
-  sunpou1: number;
-  /** m_lnSunpou2: dimension value coefficient, arrow size */
-  sunpou2: number;
-  /** m_lnSunpou3: character size, angle, arrow protrusion */
-  sunpou3: number;
-  /** m_lnSunpou4: correction flag */
-  sunpou4: number;
-  /** m_lnSunpou5: character style, angle unit */
-  sunpou5: number;
-  /** Reserved (one DWORD) */
-  dummy: number;
-  /** Maximum line width */
-  max_line_width: number;
+ * Select top-level entities
+ * @param doc - JWW document object
+ * @param options - Filter conditions
+ * @returns Matching entities in drawing order
+ */
+export function filter_entities(doc: Document, options?: FilterOptions): Entity[];
+
+/**
+ * Top-level entities of one layer
+ */
+export interface LayerBucket {
+  /** Layer group number */
+  group: number;
+  /** Layer number */
+  layer: number;
+  groupName: string;
+  layerName: string;
+  /** Effective layer state (see `FilterOptions.states`) */
+  state: number;
+  entities: Entity[];
 }
 
 /**
- * Metadata settings (settings embedded in CDataMoji)
- */
-export interface MetadataSettings {
-  /** Printer paper size setting */
-  printer_paper_size: string;
-  /** BMP transparency setting */
-  draw_bmp_touka: string;
-  /** Direct2D display setting */
-  view_direct2d: string;
-  /** Printer BMP overall setting */
-  printer_bmp_zentai: string;
-  /** Printer orientation setting */
-  printer_orientation: string;
-  /** Printer D2D BMP setting */
-  printer_d2d_bmp: string;
+ * Group top-level entities by layer
+ * @param doc - JWW document object
+ * @returns One bucket per layer that has entities, in layer group and layer order
+ */
+export function group_by_layer(doc: Document): LayerBucket[];
+
+/**
+ * Error thrown by `parse_palette` when a line of the configuration is malformed
+ */
+export class PaletteError extends Error {
+  readonly name: "PaletteError";
+  /** Line number of the malformed entry (1-based) */
+  readonly line: number;
+  constructor(line: number, message: string);
 }
 
 /**
- * Individual layer
+ * Load a pen configuration in the `KEY = value` style of Jw_win.jwf
+ *
+ * Recognized keys are `COLOR_n` / `WIDTH_n` (pen colors 0-9),
+ * `SXF_COLOR_n` / `SXF_WIDTH_n` (SXF colors 0-256), `LINE_TYPE_n`
+ * (line types 0-9), `SXF_LINE_TYPE_n` (SXF line types 0-32),
+ * `DEFAULT_COLOR` and `DEFAULT_WIDTH`. Colors are `R,G,B`, widths and
+ * line type segments are printed millimeters. Comments (`;`, `#`) and
+ * `[section]` lines are ignored; any other key is an error.
+ * @param text - Configuration text
+ * @param base - Palette the settings are applied to (default: `default_palette()`)
+ * @returns The resulting palette
+ * @throws PaletteError naming the line number of a malformed entry
  */
-export interface Layer {
-  /** Layer state: 0=hidden, 1=view-only, 2=editable, 3=write mode */
-  state: number;
-  protect: number;
-  name: string;
+export function parse_palette(text: string, base?: Palette): Palette;
+
+/**
+ * Options for `resolve_style`
+ */
+export interface StyleOptions {
+  /**
+   * Colors, widths and line types to resolve against (default:
+   * `default_palette()`). Use `document_palette(doc)` for the settings saved
+   * in the drawing.
+   */
+  palette?: Palette;
 }
 
 /**
- * Layer group (contains 16 layers)
+ * Resolve the rendering style of an entity
+ *
+ * Pen colors 1-9 come from the palette, 101-356 are SXF colors (minus 100)
+ * and solids with pen color 10 use their own `color`. Line types 2-9 are the
+ * standard ones and 31-63 SXF line types (minus 30). A positive `pen_width`
+ * (1/100 mm) wins over the palette width. Dash lengths and widths are
+ * printed millimeters: multiply by the layer group scale for drawing units.
+ * @param entity - Entity to resolve
+ * @param options - Style options
+ * @returns Color, dash pattern and width
  */
-export interface LayerGroup {
-  /** Layer group state */
-  state: number;
-  /** Current write layer in group (0-15) */
-  write_layer: number;
-  /** Scale denominator (e.g., 100.0 for 1:100) */
-  scale: number;
-  /** Protection flag */
-  protect: number;
-  /** 16 layers in the group */
-  layers: Layer[];
-  /** Layer group name */
-  name: string;
+export function resolve_style(entity: Entity, options?: StyleOptions): ResolvedStyle;
+
+/**
+ * Metadata records that have no field in `metadata_settings`
+ *
+ * Drawings carry printer and view settings as hidden `Printer_*`, `Draw_*`
+ * and `View_*` text records. The known ones are `metadata_settings` fields;
+ * this returns the others. A key that appears more than once keeps its last
+ * value; `metadata_settings.extra` has every record.
+ * @param doc - JWW document object
+ * @returns Key/value pairs in the order they appear
+ */
+export function metadata_extra(doc: Document): Record<string, string>;
+
+/**
+ * Values substituted for text macros by `decode_text`
+ *
+ * Omitted strings expand to `""` and omitted page numbers to 1.
+ */
+export interface TextContext {
+  /** `%f`: file name */
+  fileName?: string;
+  /** `%F`: full path of the file */
+  filePath?: string;
+  /** `%d`: date */
+  date?: string;
+  /** `%t`: time */
+  time?: string;
+  /** `%p`: page number */
+  page?: number;
+  /** `%P`: page count */
+  pageCount?: number;
 }
 
 /**
- * Block definition
+ * Kind of a decoded text run
+ * - `"plain"`, `"superscript"` (`^u`), `"subscript"` (`^d`), `"middle"` (`^c`)
+ * - `"circled"`: the single character after `^o`
+ * - `"macro"`: an unexpanded macro such as `%f`
+ * - `"directive"`: a `^@` directive such as `^@BM` (an image)
  */
-export interface BlockDef {
-  base: EntityBase;
-  number: number;
-  is_referenced: boolean;
-  name: string;
-  entities: Entity[];
+export type TextRunKindName =
+  | "plain"
+  | "superscript"
+  | "subscript"
+  | "middle"
+  | "circled"
+  | "macro"
+  | "directive";
+
+/**
+ * Run of text with the same placement
+ */
+export interface TextRun {
+  kind: TextRunKindName;
+  /**
+   * Characters of the run. For a macro, the macro as written (`"%f"`); for
+   * a directive, the rest of the string after the directive name.
+   */
+  text: string;
+  /** Macro letter (`"f"`) or directive name (`"BM"`) */
+  name?: string;
 }
 
 /**
- * JWW document
- */
-export interface Document {
-  /** JWW file format version (e.g., 351 for Ver.3.51, 420 for Ver.4.20, 700 for Ver.7.00+) */
-  version: number;
-  /** File memo/description */
-  memo: string;
-  /** Paper size: 0-4 for A0-A4, 8 for 2A, 9 for 3A, etc. */
-  paper_size: number;
-  /** Current write layer group (0-15) */
-  write_layer_group: number;
-  /** 16 layer groups */
-  layer_groups: LayerGroup[];
-  /** Drawing entities */
-  entities: Entity[];
-  /** Block definitions */
-  block_defs: BlockDef[];
-  /** Embedded images (Ver.7.00+) */
-  embedded_images: EmbeddedImage[];
-  /** Print settings */
-  print_settings: PrintSettings;
-  /** Sunpou (dimension) settings */
-  sunpou_settings: SunpouSettings;
-  /** Metadata settings (extracted from CDataMoji) */
-  metadata_settings: MetadataSettings;
+ * Text entity attributes and content split at its special sequences
+ */
+export interface DecodedText {
+  /** Italic (`text_type` +10000) */
+  italic: boolean;
+  /** Bold (`text_type` +20000) */
+  bold: boolean;
+  /** Character type 1-10 (0 for a free size) */
+  charType: number;
+  fontName: string;
+  /** Non-empty runs in order */
+  runs: TextRun[];
 }
 
 /**
- * Parse JWW binary data into a Document object
- * @param data - Binary data as Uint8Array
- * @returns Parsed JWW document
+ * Decode the attributes and special sequences of a text entity
+ *
+ * `^u`, `^d` and `^c` switch to superscript, subscript and middle placement
+ * until `^n`, `^o` circles the next character and `^@` starts a directive
+ * that takes the rest of the string. `%%` is a literal `%`. The macros `%f`,
+ * `%F`, `%d`, `%t`, `%p` and `%P` are expanded when `context` is given and
+ * returned as `"macro"` runs otherwise.
+ * @param text - Text entity payload
+ * @param context - Values for the macros
+ * @returns Attributes and runs
+ */
+export function decode_text(text: Text, context?: TextContext): DecodedText;
+
+/**
+ * Character width and baseline ratios for `text_layout`
+ */
+export interface FontMetricsOptions {
+  /** Width of a full-width character relative to `size_x` (default: 1) */
+  fullWidth?: number;
+  /** Width of a half-width (ASCII, half-width katakana) character relative to `size_x` (default: 0.5) */
+  halfWidth?: number;
+  /** Height of the baseline above the bottom of the box relative to `size_y` (default: 0) */
+  descent?: number;
+}
+
+/**
+ * Layout of a text entity in drawing coordinates
+ */
+export interface TextLayout {
+  /** Length of the string along `angle` */
+  width: number;
+  /** Character height (`size_y`) */
+  height: number;
+  /** Box corners: bottom-left, bottom-right, top-right, top-left */
+  corners: Vec2[];
+  baselineStart: Vec2;
+  baselineEnd: Vec2;
+  /**
+   * The nine reference points: bottom-left, bottom-center, bottom-right,
+   * middle-left, center, middle-right, top-left, top-center, top-right
+   */
+  anchors: Vec2[];
+  /** Box of each character */
+  chars: CharLayout[];
+}
+
+/**
+ * Compute the rotated box, baseline and character positions of a text entity
+ *
+ * The start point is the bottom-left of the box and characters run along
+ * `angle`, `spacing` apart. When the entity has an end point the string is
+ * stretched to end there. The characters laid out are those of the
+ * `decode_text` runs: sequences such as `^u` and `^o` and `^@` directives
+ * (e.g. `^@BM` images) are not laid out.
+ * @param text - Text entity payload
+ * @param options - `fontMetrics`: character width and baseline ratios
+ * @returns Box, baseline, reference points and per-character boxes
+ */
+export function text_layout(
+  text: Text,
+  options?: { fontMetrics?: FontMetricsOptions },
+): TextLayout;
+
+/**
+ * Build a spatial index for geometric queries
+ *
+ * Block inserts are exploded and every entity is indexed in drawing
+ * coordinates with its true shape: lines and arcs as curves, text and
+ * images as their rotated boxes, solids as filled areas. Inserts whose block
+ * definition is missing are not indexed.
+ * @param doc - JWW document object
+ * @param options - `visibleOnly`: skip hidden layer groups and layers (default: false)
+ * @returns Index for `hit_test`, `query_rect` and `nearest`
+ */
+export function spatial_index(
+  doc: Document,
+  options?: { visibleOnly?: boolean },
+): SpatialIndex;
+
+/**
+ * Find the entities under a point
+ *
+ * Filled areas, text and images are hit anywhere inside them (distance 0).
+ * @param index - Index from `spatial_index`
+ * @param x - X in drawing coordinates
+ * @param y - Y in drawing coordinates
+ * @param tolerance - Maximum distance in drawing units (default: 0)
+ * @returns Hits nearest first, ties in entity order
+ */
+export function hit_test(
+  index: SpatialIndex,
+  x: number,
+  y: number,
+  tolerance?: number,
+): SpatialHit[];
+
+/**
+ * Find the entities crossing a rectangle
+ * @param index - Index from `spatial_index`
+ * @param bbox - Rectangle in drawing coordinates
+ * @param options - `contained`: only entities whose extents lie inside `bbox` (default: false)
+ * @returns Hits in entity order, with distance 0
+ */
+export function query_rect(
+  index: SpatialIndex,
+  bbox: Bounds,
+  options?: { contained?: boolean },
+): SpatialHit[];
+
+/**
+ * Length unit of `to_world_coordinates`, `from_world_coordinates` and
+ * `paper_dimensions`
+ */
+export type LengthUnitOption = "mm" | "cm" | "m";
+
+/**
+ * Options for `to_world_coordinates` and `from_world_coordinates`
+ */
+export interface WorldCoordinateOptions {
+  /** Unit of the converted document (default: `"m"`) */
+  unit?: LengthUnitOption;
+  /**
+   * Treat coordinates as paper millimeters and multiply each entity by the
+   * scale of its layer group (`layer_groups[base.layer_group].scale`).
+   * Entities in block definitions use their own layer group; the print
+   * origin only changes unit. Default: `false`
+   */
+  groupScale?: boolean;
+}
+
+/**
+ * Convert a drawing to real-world units
+ *
+ * JWW stores coordinates as real-size millimeters (the layer group scale
+ * only relates them to the paper: paper mm = real mm / scale), so by default
+ * this converts the unit without applying the scale; pass `groupScale` for
+ * drawings whose coordinates are paper millimeters. Coordinates and lengths
+ * of entities and block definitions and the print origin are converted;
+ * angles and block insert scales are kept.
+ * @param doc - JWW document object
+ * @param options - Target unit and whether to apply layer group scales
+ * @returns Converted copy of the document
+ * @throws {TypeError} If the unit is unknown
+ */
+export function to_world_coordinates(
+  doc: Document,
+  options?: WorldCoordinateOptions,
+): Document;
+
+/**
+ * Convert a drawing from `to_world_coordinates` back to millimeters, the
+ * unit `to_jww_bytes` expects
+ * @param doc - Document in `unit`
+ * @param options - The options the document was converted with
+ * @returns Converted copy of the document
+ * @throws {TypeError} If the unit is unknown
  */
-export function parse(data: Uint8Array): Document;
+export function from_world_coordinates(
+  doc: Document,
+  options?: WorldCoordinateOptions,
+): Document;
 
 /**
- * Convert a JWW Document to JSON string
- * @param jww_doc - JWW document object
- * @returns JSON string representation
+ * Paper size of a drawing, landscape
+ *
+ * `paper_size` 0-4 are A0-A4, 8 is 2A and 9 is 3A; other values return
+ * undefined. With `group`, the paper is multiplied by that layer group's
+ * scale, giving the real-size area it covers.
+ * @param doc - JWW document object
+ * @param options - `group`: layer group whose scale to apply; `unit`: result unit (default: `"mm"`)
+ * @returns Width and height, or undefined for an unknown paper size
+ * @throws {TypeError} If the unit is unknown
  */
-export function to_json_string(jww_doc: Document): string;
+export function paper_dimensions(
+  doc: Document,
+  options?: { group?: number; unit?: LengthUnitOption },
+): PaperDimensions | undefined;
@@ -0,0 +1,1090 @@
+// Generated by scripts/generate-types.js from the MoonBit .mbti interfaces.
+// Do not edit: change the MoonBit types and run `pnpm run build:types`.
+
+declare const opaque: unique symbol;
+
+// horideicom/jww_parser/core
+
+/** 円弧/円エンティティ (JWWクラス: CDataEnko) */
+export interface Arc {
+  base: EntityBase;
+  center_x: number;
+  center_y: number;
+  radius: number;
+  /** ラジアン */
+  start_angle: number;
+  /** ラジアン */
+  arc_angle: number;
+  /** ラジアン（楕円の場合） */
+  tilt_angle: number;
+  /** 1.0は真円、それ以外は楕円 */
+  flatness: number;
+  is_full_circle: boolean;
+}
+
+/** 円弧/円ソリッドエンティティ (CDataSolid, pen_style >= 101) */
+export interface ArcSolid {
+  base: EntityBase;
+  /** 中心点X座標 */
+  center_x: number;
+  /** 中心点Y座標 */
+  center_y: number;
+  /** 外側半径 */
+  radius: number;
+  /** 扁平率 (1.0は真円) */
+  flatness: number;
+  /** 傾き角 (ラジアン) */
+  tilt_angle: number;
+  /** 開始角 (ラジアン) */
+  start_angle: number;
+  /** 円弧角 (ラジアン) */
+  arc_angle: number;
+  /** ソリッド種別/内側半径など (pen_styleにより解釈が変わる) */
+  solid_param: number;
+  /** 塗りつぶし色 (pen_color == 10の時使用) */
+  color: number;
+}
+
+/**
+ * 円弧/円ソリッドの塗りつぶし形状
+ *
+ * Discriminate on `$tag` (the variant index); payloads are `_0`, `_1`, ...
+ */
+export type ArcSolidShape =
+  /** Sector: 扇形（中心と円弧で囲まれる領域。全円の場合は円） */
+  | { $tag: 0 }
+  /** Segment: 弓形（円弧と弦で囲まれる領域） */
+  | { $tag: 1 }
+  /** Annulus: 円環（内側半径を持つ） */
+  | { $tag: 2; _0: number };
+
+/** ブロック挿入エンティティ (JWWクラス: CDataBlock) */
+export interface Block {
+  base: EntityBase;
+  /** 挿入基準点X */
+  ref_x: number;
+  /** 挿入基準点Y */
+  ref_y: number;
+  scale_x: number;
+  scale_y: number;
+  /** ラジアン */
+  rotation: number;
+  /** 参照先ブロック定義番号 */
+  def_number: number;
+}
+
+/** ブロック定義 */
+export interface BlockDef {
+  base: EntityBase;
+  number: number;
+  is_referenced: boolean;
+  /** 作成日時 (CTime, time_t) */
+  time: number;
+  name: string;
+  entities: Entity[];
+}
+
+/** ブロック定義の概要 */
+export interface BlockDefSummary {
+  number: number;
+  name: string;
+  /** 直下のエンティティ数 */
+  entity_count: number;
+  is_referenced: boolean;
+}
+
+/** 展開元のブロック挿入 */
+export interface BlockInstance {
+  /** 挿入したリスト内でのインデックス （最上位は doc.entities、入れ子は親のブロック定義の entities） */
+  index: number;
+  /** 参照先ブロック定義番号 */
+  def_number: number;
+  /** 参照先ブロック定義名 */
+  name: string;
+}
+
+/** 矩形範囲 */
+export interface Bounds {
+  min_x: number;
+  min_y: number;
+  max_x: number;
+  max_y: number;
+}
+
+/** 1文字の配置 */
+export interface CharLayout {
+  /** 文字 */
+  text: string;
+  /** 文字の外形の左下（回転後） */
+  origin: Vec2;
+  /** 文字送り方向の幅（spacing を含まない） */
+  width: number;
+  /** 文字の外形の4隅（左下・右下・右上・左上） */
+  corners: Vec2[];
+}
+
+/** 解釈した文字エンティティ */
+export interface DecodedText {
+  /** 斜体 (text_type +10000) */
+  italic: boolean;
+  /** 太字 (text_type +20000) */
+  bold: boolean;
+  /** 文字種（text_type から斜体・太字を除いた値、1〜10、0は任意サイズ） */
+  char_type: number;
+  font_name: string;
+  /** 特殊文字で区切った文字列（空の区間は含まない） */
+  runs: TextRun[];
+}
+
+/** パース・シリアライズ時の診断情報 */
+export interface Diagnostic {
+  /** 重大度 ("warning": 一部をスキップして継続, "error": 以降のデータを破棄) */
+  severity: string;
+  /** ファイル先頭からのバイトオフセット */
+  offset: number;
+  /** 対象のクラス名（該当しない場合は空文字列） */
+  class_name: string;
+  /** スキップ・切り詰めた内容の説明 */
+  message: string;
+}
+
+/**
+ * 寸法 (JWW: CDataSunpou)
+ *
+ * 寸法線・寸法値の文字と、Ver.4.20以上では引出線2本と端点4個を持つ
+ */
+export interface Dimension {
+  base: EntityBase;
+  /** 寸法線 */
+  line: Line;
+  /** 寸法値の文字 */
+  text: Text;
+  /** SXFモード (Ver.4.20+、それ以前は0) */
+  sxf_mode: number;
+  /** 引出線（補助線）2本 (Ver.4.20+、それ以前は空) */
+  aux_lines: Line[];
+  /** 端点4個 (Ver.4.20+、それ以前は空) */
+  aux_points: Point[];
+}
+
+/** JWWドキュメント全体 */
+export interface Document {
+  /** JWWファイルフォーマットバージョン (例: 351 for Ver.3.51, 420 for Ver.4.20) */
+  version: number;
+  /** ファイルメモ/説明 */
+  memo: string;
+  /** 用紙サイズ: 0-4でA0-A4、8で2A、9で3Aなど */
+  paper_size: number;
+  /** 現在の書き込みレイヤグループ (0-15) */
+  write_layer_group: number;
+  /** 16個のレイヤグループ */
+  layer_groups: LayerGroup[];
+  /** 図面エンティティ */
+  entities: Entity[];
+  /** ブロック定義 */
+  block_defs: BlockDef[];
+  /** 同梱画像 (Ver.7.00+) */
+  embedded_images: EmbeddedImage[];
+  /** 印刷設定 */
+  print_settings: PrintSettings;
+  /** 日光設定（寸法設定） */
+  sunpou_settings: SunpouSettings;
+  /** メタデータ設定（CDataMojiから抽出） */
+  metadata_settings: MetadataSettings;
+  /** パーサーが解釈しないヘッダー領域の生データ （レイヤグループ名の直後からエンティティリストの直前まで、保存時にそのまま書き戻す） */
+  header_extra: Uint8Array;
+}
+
+/** 図面の概要 */
+export interface DocumentSummary {
+  version: number;
+  memo: string;
+  paper_size: number;
+  /** トップレベルのエンティティ数 */
+  entity_count: number;
+  /** エンティティタイプ (Entity::type_name) ごとの件数（出現順） */
+  entity_types: NamedCount[];
+  /** エンティティのあるレイヤごとの件数（グループ・レイヤ番号順） */
+  layers: LayerCount[];
+  block_defs: BlockDefSummary[];
+  images: ImageSummary[];
+}
+
+/** 同梱画像データ (Ver.7.00+) */
+export interface EmbeddedImage {
+  /** 画像のインデックス（0始まり） */
+  index: number;
+  /** ファイルサイズ（バイト） */
+  file_size: number;
+  /** 画像データ（生バイナリ） */
+  data: Uint8Array;
+  /** 画像フォーマット（マジックバイトから検出） */
+  format: ImageFormat;
+}
+
+/**
+ * エンティティ種別
+ *
+ * Discriminate on `$tag` (the variant index); payloads are `_0`, `_1`, ...
+ */
+export type Entity =
+  /** Line */
+  | { $tag: 0; _0: Line }
+  /** Arc */
+  | { $tag: 1; _0: Arc }
+  /** Point */
+  | { $tag: 2; _0: Point }
+  /** Text */
+  | { $tag: 3; _0: Text }
+  /** Solid */
+  | { $tag: 4; _0: Solid }
+  /** ArcSolid */
+  | { $tag: 5; _0: ArcSolid }
+  /** Block */
+  | { $tag: 6; _0: Block }
+  /** Image */
+  | { $tag: 7; _0: Image }
+  /** Dimension */
+  | { $tag: 8; _0: Dimension };
+
+/** Payload of each `Entity` variant, keyed by variant name */
+export interface EntityVariants {
+  Line: Line;
+  Arc: Arc;
+  Point: Point;
+  Text: Text;
+  Solid: Solid;
+  ArcSolid: ArcSolid;
+  Block: Block;
+  Image: Image;
+  Dimension: Dimension;
+}
+
+/** 全エンティティに共通する属性 */
+export interface EntityBase {
+  /** 曲線属性番号 (線種グループ) */
+  group: number;
+  /** 線種番号 */
+  pen_style: number;
+  /** 線色番号 (1-9は基本色、拡張値はSXF色) */
+  pen_color: number;
+  /** 線幅 (Ver.3.51以降で利用可能) */
+  pen_width: number;
+  /** レイヤ番号 (0-15) */
+  layer: number;
+  /** レイヤグループ番号 (0-15) */
+  layer_group: number;
+  /** 各種属性フラグ */
+  flag: number;
+}
+
+/**
+ * エンティティの絞り込み条件
+ *
+ * 空の配列・None の条件は絞り込まない。すべての条件を満たすエンティティを残す
+ */
+export interface EntityFilter {
+  /** レイヤグループ番号 */
+  layer_groups: number[];
+  /** レイヤ番号（どのレイヤグループでも一致） */
+  layers: number[];
+  /** レイヤ名 */
+  layer_names: string[];
+  /** レイヤの実効状態 (Document::layer_state) */
+  states: number[];
+  /** エンティティタイプ名 (Entity::type_name) */
+  types: string[];
+  /** 線色番号 */
+  pen_colors: number[];
+  /** この範囲と重なるエンティティのみ（図面座標、Block は展開した内容で判定） */
+  bbox: Bounds | undefined;
+}
+
+/** Opaque: only the functions of this package can read it. */
+export interface EntityStream {
+  readonly [opaque]: "EntityStream";
+}
+
+/** explode_blocks の結果 */
+export interface ExplodeResult {
+  entities: ExplodedEntity[];
+  /** 自身を（間接的に）参照していたため展開しなかったブロック定義番号 */
+  recursive_blocks: number[];
+  /** 参照先が存在しなかったブロック定義番号 */
+  missing_blocks: number[];
+}
+
+/** 展開後のエンティティ */
+export interface ExplodedEntity {
+  /** 図面座標に変換したエンティティ */
+  entity: Entity;
+  /** 展開元のブロック挿入（最上位から順。ブロック外のエンティティは空） */
+  instances: BlockInstance[];
+}
+
+/** 図面全体の範囲 */
+export interface Extents {
+  /** 全体の範囲（図面座標、エンティティがない場合は None） */
+  bounds: Bounds | undefined;
+  /** エンティティのあるレイヤグループごとの範囲（グループ番号順） */
+  layer_groups: LayerGroupExtents[];
+}
+
+/** 文字幅と高さの比率 */
+export interface FontMetrics {
+  /** 全角文字の幅（size_x に対する比） */
+  full_width: number;
+  /** 半角文字（ASCII・半角カタカナ）の幅（size_x に対する比） */
+  half_width: number;
+  /** 文字の外形の下端からベースラインまでの高さ（size_y に対する比） */
+  descent: number;
+}
+
+/** 画像エンティティ (CDataMojiの^@BM形式から変換) */
+export interface Image {
+  base: EntityBase;
+  /** 画像ファイルパス（%temp% を除いたもの） */
+  image_path: string;
+  /** 同梱画像 (%temp%) を参照するか */
+  is_embedded: boolean;
+  /** 挿入位置X */
+  x: number;
+  /** 挿入位置Y */
+  y: number;
+  /** 幅 */
+  width: number;
+  /** 高さ */
+  height: number;
+  /** 回転角度（度） */
+  rotation: number;
+  /** 幅・高さに続くパラメーター（カンマ区切り、解釈せずに保持） */
+  params: string;
+}
+
+/** 取り出した画像ファイル */
+export interface ImageFile {
+  /** 同梱画像のインデックス (EmbeddedImage::index) */
+  index: number;
+  format: ImageFormat;
+  /** MIMEタイプ */
+  mime_type: string;
+  /** ファイル拡張子（ドットなし） */
+  extension: string;
+  /** 保存時のファイル名（参照元のファイル名、拡張子はフォーマットに合わせる） */
+  file_name: string;
+  data: Uint8Array;
+}
+
+/**
+ * 画像フォーマット種別（マジックバイトから検出）
+ *
+ * Represented at runtime by the variant index:
+ * - `0` Unknown: 未検出または不明
+ * - `1` Jpeg: JPEG形式 (FF D8 FF)
+ * - `2` Png: PNG形式 (89 50 4E 47)
+ * - `3` Bmp: BMP形式 (42 4D)
+ * - `4` Gif: GIF形式 (47 49 46 38)
+ * - `5` Tiff: TIFF形式 (49 49 2A 00 / 4D 4D 00 2A)
+ * - `6` Webp: WebP形式 (RIFF....WEBP)
+ * - `7` Jpeg2000: JPEG 2000形式 (JP2シグネチャボックスまたはコードストリーム FF 4F FF 51)
+ */
+export type ImageFormat = 0 | 1 | 2 | 3 | 4 | 5 | 6 | 7;
+
+/** Variant names of `ImageFormat` */
+export type ImageFormatName = "Unknown" | "Jpeg" | "Png" | "Bmp" | "Gif" | "Tiff" | "Webp" | "Jpeg2000";
+
+/** 同梱画像の概要 */
+export interface ImageSummary {
+  index: number;
+  /** 画像フォーマット名 (ImageFormat) */
+  format: string;
+  /** ファイル拡張子（ドットなし） */
+  extension: string;
+  /** データのバイト数 */
+  size: number;
+}
+
+/** 個別レイヤ */
+export interface Layer {
+  /** レイヤの状態: 0=非表示, 1=表示のみ, 2=編集可能, 3=書込モード */
+  state: number;
+  protect: number;
+  name: string;
+}
+
+/** レイヤごとのエンティティ */
+export interface LayerBucket {
+  /** レイヤグループ番号 */
+  group: number;
+  /** レイヤ番号 */
+  layer: number;
+  /** レイヤグループ名 */
+  group_name: string;
+  /** レイヤ名 */
+  layer_name: string;
+  /** レイヤの実効状態 (Document::layer_state) */
+  state: number;
+  entities: Entity[];
+}
+
+/** レイヤごとのエンティティ数 */
+export interface LayerCount {
+  /** レイヤグループ番号 */
+  group: number;
+  /** レイヤ番号 */
+  layer: number;
+  /** レイヤ名 */
+  name: string;
+  count: number;
+}
+
+/** レイヤグループ（16個のレイヤを含む） */
+export interface LayerGroup {
+  /** レイヤグループの状態 */
+  state: number;
+  /** グループ内の現在の書き込みレイヤ (0-15) */
+  write_layer: number;
+  /** スケール分母（例: 100.0で1:100） */
+  scale: number;
+  /** 保護フラグ */
+  protect: number;
+  /** 16個のレイヤ */
+  layers: Layer[];
+  /** レイヤグループ名 */
+  name: string;
+}
+
+/** レイヤグループごとの範囲 */
+export interface LayerGroupExtents {
+  /** レイヤグループ番号 */
+  group: number;
+  /** 図面座標での範囲 */
+  bounds: Bounds;
+  /** 縮尺で割った用紙上の範囲 (mm) */
+  paper_bounds: Bounds;
+  /** レイヤグループの縮尺（1:scale） */
+  scale: number;
+}
+
+/**
+ * 長さの単位
+ *
+ * Represented at runtime by the variant index:
+ * - `0` Millimeter: ミリメートル（JWWの座標の単位）
+ * - `1` Centimeter: センチメートル
+ * - `2` Meter: メートル
+ */
+export type LengthUnit = 0 | 1 | 2;
+
+/** Variant names of `LengthUnit` */
+export type LengthUnitName = "Millimeter" | "Centimeter" | "Meter";
+
+/** 直線エンティティ (JWWクラス: CDataSen) */
+export interface Line {
+  base: EntityBase;
+  start_x: number;
+  start_y: number;
+  end_x: number;
+  end_y: number;
+}
+
+/** メタデータのキーと値 */
+export interface MetadataEntry {
+  key: string;
+  value: string;
+}
+
+/** エンティティリストから取り出したメタデータの文字レコード */
+export interface MetadataRecord {
+  /** エンティティリスト中の位置（この文字より前にあるメタデータ以外のエンティティの数） */
+  index: number;
+  text: Text;
+}
+
+/** メタデータ設定（CDataMojiに埋め込まれた設定情報） */
+export interface MetadataSettings {
+  /** プリンター用紙サイズ設定 */
+  printer_paper_size: string;
+  /** BMP透過設定 */
+  draw_bmp_touka: string;
+  /** Direct2D表示設定 */
+  view_direct2d: string;
+  /** プリンターBMP全体設定 */
+  printer_bmp_zentai: string;
+  /** プリンター方向設定 */
+  printer_orientation: string;
+  /** プリンターD2dBMP設定 */
+  printer_d2d_bmp: string;
+  /** 上記以外のメタデータ（出現順） */
+  extra: MetadataEntry[];
+  /** 読み込んだメタデータの文字レコード（出現順）。保存時はキーの表記・属性・位置を保ち、変更された値だけを書き換える */
+  records: MetadataRecord[];
+}
+
+/** 名前ごとの件数 */
+export interface NamedCount {
+  name: string;
+  count: number;
+}
+
+/**
+ * 線色・線幅・線種の設定（Jw_win.jwf の線色・線種の設定に相当）
+ *
+ * 配列は線色番号・線種番号をそのまま添字にする
+ */
+export interface Palette {
+  /** 線色0〜9の表示色（0は背景色） */
+  pen_colors: Rgb[];
+  /** 線色0〜9の印刷線幅 (mm、0以下は default_width) */
+  pen_widths: number[];
+  /** SXF線色0〜256の表示色 */
+  sxf_colors: Rgb[];
+  /** SXF線色0〜256の印刷線幅 (mm、0以下は default_width) */
+  sxf_widths: number[];
+  /** 線種0〜9のパターン（印刷時のmm、正値は線・負値は空白・0は点） */
+  line_types: number[][];
+  /** SXF線種0〜32のパターン（印刷時のmm） */
+  sxf_line_types: number[][];
+  /** 設定のない線色の表示色 */
+  default_color: Rgb;
+  /** 線幅の設定がない場合の印刷線幅 (mm) */
+  default_width: number;
+}
+
+/** 用紙の大きさ（横置き） */
+export interface PaperDimensions {
+  width: number;
+  height: number;
+}
+
+/**
+ * JWWファイルパース時のエラー型
+ *
+ * Discriminate on `$tag` (the variant index); payloads are `_0`, `_1`, ...
+ */
+export type ParseError =
+  /** InvalidSignature: 無効なシグネチャ（"JwwData."でない） */
+  | { $tag: 0 }
+  /** UnsupportedVersion: サポートされていないバージョン */
+  | { $tag: 1; _0: number }
+  /** UnknownClassPid: 不明なクラスPID */
+  | { $tag: 2; _0: number }
+  /** UnknownEntityClass: 不明なエンティティクラス */
+  | { $tag: 3; _0: string }
+  /** UnexpectedEof: データの予期せぬ終了 */
+  | { $tag: 4 }
+  /** IoError: I/Oエラー */
+  | { $tag: 5; _0: string }
+  /** Other: その他のエラー */
+  | { $tag: 6; _0: string }
+  /** Cancelled: 呼び出し側による中断 */
+  | { $tag: 7 };
+
+/**
+ * パースモード
+ *
+ * Represented at runtime by the variant index:
+ * - `0` Strict: 最初の異常で JwwParseError を送出する
+ * - `1` Lenient: 異常を診断情報に記録し、読み取れた範囲のドキュメントを返す
+ */
+export type ParseMode = 0 | 1;
+
+/** Variant names of `ParseMode` */
+export type ParseModeName = "Strict" | "Lenient";
+
+/** パースの進捗 */
+export interface ParseProgress {
+  /** 段階 ("header" / "entities" / "block_defs" / "images") */
+  phase: string;
+  /** 読み込んだバイト数 */
+  bytes_read: number;
+  /** 入力全体のバイト数 */
+  total_bytes: number;
+  /** 読み込んだエンティティ数（ブロック定義内を含む） */
+  entities_parsed: number;
+}
+
+/** 診断情報付きのパース結果 */
+export interface ParseReport {
+  document: Document;
+  diagnostics: Diagnostic[];
+}
+
+/** 点エンティティ (JWWクラス: CDataTen) */
+export interface Point {
+  base: EntityBase;
+  x: number;
+  y: number;
+  is_temporary: boolean;
+  code: number;
+  angle: number;
+  scale: number;
+}
+
+/** 印刷設定情報 */
+export interface PrintSettings {
+  /** 印刷出力範囲の基点X */
+  origin_x: number;
+  /** 印刷出力範囲の基点Y */
+  origin_y: number;
+  /** 印刷出力倍率 */
+  scale: number;
+  /** 印刷90度回転・基準点位置 0:原点 1:左下 2:右下 3:左上 4:右上 5:中心 6:左 7:上 8:右 9:下 */
+  rotation_setting: number;
+}
+
+/**
+ * バイナリデータリーダー
+ * カーソル位置を追跡しながらリトルエンディアンで読み込む
+ *
+ * 入力の Bytes をコピーせずに参照し、位置はオフセットで管理する
+ */
+export interface Reader {
+  data: Uint8Array;
+  pos: number;
+  /** data[0] のファイル先頭からのオフセット（エラー位置の報告用） */
+  origin: number;
+}
+
+/** 描画に使う線の属性 */
+export interface ResolvedStyle {
+  /** 表示色 */
+  color: Rgb;
+  /** 線種のパターン（印刷時のmm、実線は空配列） */
+  dash: number[];
+  /** 印刷線幅 (mm) */
+  width: number;
+}
+
+/** RGB色 (0-255) */
+export interface Rgb {
+  r: number;
+  g: number;
+  b: number;
+}
+
+/** 診断情報付きのシリアライズ結果 */
+export interface SerializeReport {
+  bytes: Uint8Array;
+  diagnostics: Diagnostic[];
+}
+
+/** 診断情報付きの Shift_JIS 変換結果 */
+export interface SjisEncodeResult {
+  bytes: Uint8Array;
+  /** Diagnostic ポリシーで置き換えた文字（offset は変換結果内のバイト位置） */
+  diagnostics: Diagnostic[];
+}
+
+/** 塗りつぶしエンティティ (JWWクラス: CDataSolid) */
+export interface Solid {
+  base: EntityBase;
+  point1_x: number;
+  point1_y: number;
+  point2_x: number;
+  point2_y: number;
+  point3_x: number;
+  point3_y: number;
+  point4_x: number;
+  point4_y: number;
+  /** pen_color == 10の時使用 */
+  color: number;
+}
+
+/** 検索で見つかったエンティティ */
+export interface SpatialHit {
+  /** doc.entities のインデックス（ブロック内のエンティティは最上位の挿入のインデックス） */
+  index: number;
+  /** 図面座標のエンティティ（ブロック内のエンティティは展開後のもの） */
+  entity: Entity;
+  /** 展開元のブロック挿入（最上位から順。ブロック外のエンティティは空） */
+  instances: BlockInstance[];
+  /** 検索位置からの距離（query_rect では 0） */
+  distance: number;
+}
+
+/** Opaque: only the functions of this package can read it. */
+export interface SpatialIndex {
+  readonly [opaque]: "SpatialIndex";
+}
+
+/** 日光設定（寸法設定） */
+export interface SunpouSettings {
+  /** 先頭の予備 (14個のDWORD) */
+  reserved: number[];
+  /** m_lnSunpou1: 文字種・寸法小数点・単位等 */
+  sunpou1: number;
+  /** m_lnSunpou2: 寸法値係数・矢印の大きさ */
+  sunpou2: number;
+  /** m_lnSunpou3: 文字サイズ・角度・矢印突き出し */
+  sunpou3: number;
+  /** m_lnSunpou4: 補正フラグ */
+  sunpou4: number;
+  /** m_lnSunpou5: 文字スタイル・角度単位 */
+  sunpou5: number;
+  /** 予備 (1個のDWORD) */
+  dummy: number;
+  /** 線の最大幅 */
+  max_line_width: number;
+}
+
+/** 文字エンティティ (JWWクラス: CDataMoji) */
+export interface Text {
+  base: EntityBase;
+  start_x: number;
+  start_y: number;
+  end_x: number;
+  end_y: number;
+  /** +10000でイタリック、+20000で太字 */
+  text_type: number;
+  size_x: number;
+  size_y: number;
+  /** 文字間隔 */
+  spacing: number;
+  /** 回転角度（度） */
+  angle: number;
+  font_name: string;
+  content: string;
+}
+
+/** マクロを展開する値 */
+export interface TextContext {
+  /** %f: ファイル名 */
+  file_name: string;
+  /** %F: フルパスのファイル名 */
+  file_path: string;
+  /** %d: 日付 */
+  date: string;
+  /** %t: 時刻 */
+  time: string;
+  /** %p: ページ番号 */
+  page: number;
+  /** %P: 総ページ数 */
+  page_count: number;
+}
+
+/** 文字列の配置 */
+export interface TextLayout {
+  /** 文字列の長さ */
+  width: number;
+  /** 文字の高さ (size_y) */
+  height: number;
+  /** 文字の外形の4隅（左下・右下・右上・左上） */
+  corners: Vec2[];
+  /** ベースラインの始点 */
+  baseline_start: Vec2;
+  /** ベースラインの終点 */
+  baseline_end: Vec2;
+  /** 9つの文字基点（左下・中下・右下・左中・中中・右中・左上・中上・右上） */
+  anchors: Vec2[];
+  /** 各文字の配置 */
+  chars: CharLayout[];
+}
+
+/** 種類の同じ文字の並び */
+export interface TextRun {
+  kind: TextRunKind;
+  text: string;
+}
+
+/**
+ * 文字列の区間の種類
+ *
+ * Discriminate on `$tag` (the variant index); payloads are `_0`, `_1`, ...
+ */
+export type TextRunKind =
+  /** Plain: 通常の文字 */
+  | { $tag: 0 }
+  /** Superscript: 上付き文字 (^u 以降) */
+  | { $tag: 1 }
+  /** Subscript: 下付き文字 (^d 以降) */
+  | { $tag: 2 }
+  /** Middle: 中付き文字 (^c 以降) */
+  | { $tag: 3 }
+  /** Circled: ○付き文字 (^o の直後の1文字) */
+  | { $tag: 4 }
+  /** Macro: 展開しなかったマクロ（%f の "f" など、text は元の文字列） */
+  | { $tag: 5; _0: string }
+  /** Directive: ^@ の指示（^@BM の "BM" など、text は指示に続く文字列の残り） */
+  | { $tag: 6; _0: string };
+
+/** 区間の種類を名前と引数に分けたもの（JavaScript 側で種類を判別するため） */
+export interface TextRunKindParts {
+  /** "plain" "superscript" "subscript" "middle" "circled" "macro" "directive" */
+  kind: string;
+  /** マクロ・指示の名前（それ以外は None） */
+  name: string | undefined;
+}
+
+/**
+ * Shift_JIS に変換できない文字の扱い
+ *
+ * Represented at runtime by the variant index:
+ * - `0` Throw: SjisEncodeError を送出する
+ * - `1` Replace: "?" に置き換える
+ * - `2` Diagnostic: "?" に置き換え、診断情報に記録する
+ */
+export type UnmappablePolicy = 0 | 1 | 2;
+
+/** Variant names of `UnmappablePolicy` */
+export type UnmappablePolicyName = "Throw" | "Replace" | "Diagnostic";
+
+/** 2次元の点 */
+export interface Vec2 {
+  x: number;
+  y: number;
+}
+
+/**
+ * バイナリデータライター
+ * リトルエンディアンで書き込む
+ */
+export interface Writer {
+  buffer: number[];
+  /** 文字列を Shift_JIS に変換できない文字の扱い */
+  unmappable: UnmappablePolicy;
+  /** Diagnostic ポリシーで置き換えた文字の診断情報 */
+  diagnostics: Diagnostic[];
+}
+
+// horideicom/jww_parser/dxf
+
+/** DXFブロック定義 */
+export interface DxfBlock {
+  name: string;
+  base_x: number;
+  base_y: number;
+  entities: DxfEntity[];
+}
+
+/** DXFドキュメント全体 */
+export interface DxfDocument {
+  /** $ACADVER の値 */
+  version: string;
+  layers: DxfLayer[];
+  linetypes: DxfLinetype[];
+  blocks: DxfBlock[];
+  entities: DxfEntity[];
+  /** IMAGE エンティティの 340 は、この配列のインデックスで参照する */
+  images: DxfImageDef[];
+}
+
+/**
+ * DXFエンティティ
+ *
+ * 共通属性（種別・画層・色・線種）以外は種別固有のグループコード列で保持する。
+ */
+export interface DxfEntity {
+  /** エンティティ種別 (LINE, ARC, CIRCLE, ELLIPSE, POINT, TEXT, SOLID, INSERT, IMAGE) */
+  kind: string;
+  /** 画層名 */
+  layer: string;
+  /** ACI色番号 (256: BYLAYER) */
+  color: number;
+  /** トゥルーカラー (0xRRGGBB、未使用時は -1) */
+  true_color: number;
+  /** 線種名 */
+  linetype: string;
+  /** 種別固有のグループコード列 */
+  groups: DxfGroup[];
+}
+
+/** DXFグループコードと値の組 */
+export interface DxfGroup {
+  /** グループコード */
+  code: number;
+  /** 値（DXFテキスト表現） */
+  value: string;
+}
+
+/** DXF画像定義 (IMAGEDEF) */
+export interface DxfImageDef {
+  /** 画像ファイルパス */
+  path: string;
+}
+
+/** DXF画層 */
+export interface DxfLayer {
+  name: string;
+  /** ACI色番号 */
+  color: number;
+  linetype: string;
+  /** 非表示（DXFでは色番号を負値にして出力） */
+  hidden: boolean;
+  /** ロック */
+  locked: boolean;
+}
+
+/** DXF線種 */
+export interface DxfLinetype {
+  name: string;
+  description: string;
+  /** 線分長のパターン（正: 線、負: 空白、0: 点） */
+  pattern: number[];
+}
+
+// horideicom/jww_parser/svg
+
+/** SVG出力オプション */
+export interface SvgOptions {
+  /** svg要素の width 属性（0以下の場合は出力しない） */
+  width: number;
+  /** svg要素の height 属性（0以下の場合は出力しない） */
+  height: number;
+  /** 図形の周囲の余白（図形範囲の長辺に対する比率） */
+  padding: number;
+  /** 背景色（空文字列の場合は透明） 既定の線色は黒背景の画面表示色のため、既定値は黒 */
+  background: string;
+  /** 基本色以外の線色（SXF色など）の表示色 */
+  default_color: string;
+  /** 線幅 (pen_width) が0の線の太さ（印刷時のmm） */
+  line_width: number;
+  /** 状態 (state) が0のレイヤグループ・レイヤを出力しない */
+  hide_hidden_layers: boolean;
+}
+
+// horideicom/jww_parser
+
+/**
+ * try_to_jww_bytes / try_encode_shift_jis の結果
+ *
+ * JavaScriptからは js/index.js が Uint8Array / { bytes, diagnostics } に変換し、
+ * 失敗時は SjisEncodeError を投げる
+ */
+export interface EncodeOutcome {
+  /** 変換に成功したか */
+  ok: boolean;
+  /** 変換結果（失敗時は空） */
+  bytes: Uint8Array;
+  /** "diagnostic" で置き換えた文字の診断情報 */
+  diagnostics: Diagnostic[];
+  /** 変換できなかった文字（成功時は空文字列） */
+  character: string;
+  /** 変換できなかった文字の位置（文字単位、成功時は -1） */
+  index: number;
+  /** エラーメッセージ（成功時は空文字列） */
+  message: string;
+}
+
+/**
+ * try_open_entity_stream の結果
+ *
+ * JavaScriptからは js/index.js の iterate_entities ジェネレーターが使う
+ */
+export interface EntityStreamOutcome {
+  /** ヘッダーの読み込みに成功したか */
+  ok: boolean;
+  /** エンティティリストの読み込み状態（失敗時は None） */
+  stream: EntityStream | undefined;
+  /** エラーコード（成功時は空文字列） */
+  code: string;
+  /** エラー発生位置のバイトオフセット（成功時は -1） */
+  offset: number;
+  /** エラーメッセージ（成功時は空文字列） */
+  message: string;
+}
+
+/**
+ * try_from_json の結果
+ *
+ * JavaScriptからは js/index.js が Document に変換し、失敗時は JsonDecodeError を投げる
+ */
+export interface JsonDecodeOutcome {
+  /** 変換に成功したか */
+  ok: boolean;
+  /** 変換結果（失敗時は空のドキュメント） */
+  document: Document;
+  /** 不正なフィールドのJSONパス（JSONとして解析できない場合・成功時は空文字列） */
+  path: string;
+  /** エラーメッセージ（成功時は空文字列） */
+  message: string;
+}
+
+/** try_next_entity の結果 */
+export interface NextEntityOutcome {
+  /** 読み込みに成功したか */
+  ok: boolean;
+  /** エンティティリストの終端に達したか */
+  done: boolean;
+  /** 読み込んだエンティティ（終端・失敗時は None） */
+  entity: Entity | undefined;
+  /** 終端に達した時点の診断情報（それ以外は空） */
+  diagnostics: Diagnostic[];
+  /** エラーコード（成功時は空文字列） */
+  code: string;
+  /** エラー発生位置のバイトオフセット（成功時は -1） */
+  offset: number;
+  /** エラーメッセージ（成功時は空文字列） */
+  message: string;
+}
+
+/**
+ * try_parse_palette の結果
+ *
+ * JavaScriptからは js/index.js が Palette に変換し、失敗時は PaletteError を投げる
+ */
+export interface PaletteOutcome {
+  /** 読み込みに成功したか */
+  ok: boolean;
+  /** 読み込んだ線色設定（失敗時は base） */
+  palette: Palette;
+  /** 不正な行の行番号（1始まり、成功時は -1） */
+  line: number;
+  /** エラーメッセージ（成功時は空文字列） */
+  message: string;
+}
+
+/**
+ * try_parse の結果
+ *
+ * JavaScriptからは js/index.js が { ok, document, diagnostics } / { ok, error } に変換する
+ */
+export interface ParseOutcome {
+  /** パースに成功したか */
+  ok: boolean;
+  /** パース結果（失敗時は空のドキュメント） */
+  document: Document;
+  /** Lenientモードで記録された診断情報 */
+  diagnostics: Diagnostic[];
+  /** エラーコード（成功時は空文字列） */
+  code: string;
+  /** エラー発生位置のバイトオフセット（成功時は -1） */
+  offset: number;
+  /** エラーメッセージ（成功時は空文字列） */
+  message: string;
+}
+
+// Functions exported as is by js/index.js
+
+/** JWWファイルのシグネチャ ("JwwData.") */
+export function signature(): Uint8Array;
+
+/** JWWドキュメントをJSON文字列に変換 */
+export function to_json_string(jww_doc: Document): string;
+
+/** Shift_JIS (CP932) バイト列を文字列に変換 */
+export function decode_shift_jis(data: Uint8Array): string;
+
+/** JWWドキュメントをDXF文字列に変換 */
+export function to_dxf_string(doc: Document): string;
+
+/** JWWドキュメントをDXFドキュメントに変換 */
+export function to_dxf_document(doc: Document): DxfDocument;
+
+/** DXFドキュメントをDXF文字列に変換 */
+export function dxf_document_to_string(dxf: DxfDocument): string;
+
+/** 図面の概要（エンティティタイプ・レイヤごとの件数、ブロック定義、同梱画像） */
+export function summarize(doc: Document): DocumentSummary;
+
+/** 基本線色(1-8)と補助線色(9)を既定RGBに変換する（それ以外は None） */
+export function pen_color_to_rgb(pen_color: number): Rgb | undefined;
+
+/** 既定の線色設定（線色1〜9の画面表示色、標準線種、SXF既定色） */
+export function default_palette(): Palette;
+
+/** 図面に保存された線色・線幅・SXF線色・SXF線種の設定を取り出す */
+export function document_palette(doc: Document): Palette;
+
+/** 点 (x, y) に最も近いエンティティ（エンティティがない場合は None） */
+export function nearest(index: SpatialIndex, x: number, y: number): SpatialHit | undefined;
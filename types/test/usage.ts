@@ -0,0 +1,56 @@
+// Compile-only check of the published declarations (`pnpm run test:types`).
+// Nothing here is executed.
+
+import {
+  type Document,
+  type Entity,
+  type EntityJson,
+  type ImageFormat,
+  image_files,
+  parse,
+  pen_color_to_rgb,
+  summarize,
+  to_json_string,
+  try_parse,
+} from "../index";
+
+declare const data: Uint8Array;
+
+const doc: Document = parse(data);
+const { document, diagnostics } = parse(data, { mode: "lenient" });
+diagnostics.forEach((d) => d.message.length);
+
+function label(entity: Entity): string {
+  switch (entity.$tag) {
+    case 0:
+      return `line ${entity._0.start_x},${entity._0.start_y}`;
+    case 3:
+      return entity._0.content;
+    case 7:
+      return entity._0.image_path;
+    default:
+      return String(entity._0.base.pen_color);
+  }
+}
+doc.entities.map(label);
+document.block_defs.forEach((def) => def.entities.map(label));
+
+// @ts-expect-error entities are tagged with `$tag`, not `type`
+doc.entities[0].type;
+
+const png: ImageFormat = 2;
+doc.embedded_images.filter((img) => img.format === png);
+
+const json: EntityJson[] = JSON.parse(to_json_string(doc)).entities;
+json.forEach((e) => (e.type === "Text" ? e.value.content : e.type));
+
+const result = try_parse(data);
+if (result.ok) {
+  summarize(result.document).entity_count;
+} else {
+  result.error.code satisfies string;
+}
+
+const rgb = pen_color_to_rgb(1);
+if (rgb !== undefined) rgb.r + rgb.g + rgb.b;
+image_files(doc).map((f) => f.toBlob());
@@ -0,0 +1,98 @@
+/**
+ * JWW Parser - Worker entry (`jww-parser/worker`) Type Definitions
+ *
+ * In browsers the work runs in a module Worker; in Node.js it runs in a
+ * `worker_threads` thread.
+ */
+
+import type {
+  Document,
+  LenientParseResult,
+  ParseOptions,
+  ParseProgress,
+  SvgOptions,
+} from "./index";
+
+export { JwwParseError, SjisEncodeError } from "./index";
+
+/**
+ * Progress reported while a worker request runs: the parse phases, then
+ * `"convert"` when parsing has finished and conversion starts
+ */
+export interface WorkerProgress extends Omit<ParseProgress, "phase"> {
+  phase: ParseProgress["phase"] | "convert";
+}
+
+/**
+ * Options accepted by every worker request
+ */
+export interface WorkerRequestOptions {
+  /**
+   * Aborts the request. The thread stops parsing it at the next progress
+   * check and goes on with queued requests. Only when it cannot be told to
+   * stop (no `SharedArrayBuffer`, e.g. a page that is not cross-origin
+   * isolated) or does not stop within a second is the thread terminated;
+   * then other pending requests are rejected as well and the next request
+   * starts a new thread.
+   */
+  signal?: AbortSignal;
+  /** Not supported by worker requests; use `signal` */
+  shouldCancel?: never;
+  /** Called with progress events from the thread */
+  onProgress?: (progress: WorkerProgress) => void;
+}
+
+/**
+ * JWW input for a worker request
+ *
+ * The underlying `ArrayBuffer` is transferred to the thread and becomes
+ * detached. A view over part of a buffer is copied instead.
+ */
+export type WorkerInput = Uint8Array | ArrayBuffer;
+
+/**
+ * Client for a worker thread
+ *
+ * Requests are processed one at a time in the order they are made.
+ */
+export interface JwwWorker {
+  /**
+   * Parse JWW data in the worker. Embedded image bytes are transferred back.
+   * @throws JwwParseError if the data is not a valid JWW file
+   */
+  parse(
+    data: WorkerInput,
+    options?: ParseOptions & { mode?: "strict" } & WorkerRequestOptions,
+  ): Promise<Document>;
+  /**
+   * Parse JWW data in the worker in lenient mode.
+   * @throws JwwParseError if the header cannot be read
+   */
+  parse(
+    data: WorkerInput,
+    options: ParseOptions & { mode: "lenient" } & WorkerRequestOptions,
+  ): Promise<LenientParseResult>;
+  /** Parse JWW data and convert it to a JSON string in the worker */
+  jww_to_json(
+    data: WorkerInput,
+    options?: ParseOptions & WorkerRequestOptions,
+  ): Promise<string>;
+  /** Parse JWW data and convert it to a DXF string in the worker */
+  jww_to_dxf(
+    data: WorkerInput,
+    options?: ParseOptions & WorkerRequestOptions,
+  ): Promise<string>;
+  /** Parse JWW data and render it as an SVG string in the worker */
+  jww_to_svg(
+    data: WorkerInput,
+    options?: ParseOptions & SvgOptions & WorkerRequestOptions,
+  ): Promise<string>;
+  /** Terminate the thread, rejecting pending requests */
+  terminate(): void;
+}
+
+/**
+ * Create a worker client. The thread is started on the first request and,
+ * in Node.js, does not keep the process alive while idle.
+ */
+export function createJwwWorker(): JwwWorker;